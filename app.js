@@ -4,735 +4,7101 @@
  * Based on Dr. Walter J. Kilner's 1911 research "The Human Atmosphere"
  * 
  * PERFORMANCE OPTIMIZATIONS:
- * - Removed live watermark during recording (was causing lag)
- * - Watermark added only to final output
- * - Reduced canvas resolution option for slower devices
+ * - Recording watermark is pre-rendered once and composited onto a
+ *   separate recording canvas (drawing it live every frame caused lag)
+ * - Photo watermark added only to final output
+ * - Adaptive render resolution and frame rate for slower devices,
+ *   with a manual quality setting
  * - iOS-specific MP4 handling for camera roll saving
+ * - WebGL fragment shader filter, with the 2D canvas loop as fallback
+ * - 2D fallback filters in a Worker (filter-worker.js) when
+ *   OffscreenCanvas and ImageBitmap transfer are available
+ * - Service worker precaches the app shell for offline use (sw.js)
  */
 
+// Reported in exported image metadata
+const APP_VERSION = '2.0.0';
+
+/**
+ * HISTORICAL SCREEN PRESETS
+ * 
+ * Kilner worked with several screens, and the commercial goggles that
+ * followed him used their own dyes. Each preset carries the coefficients
+ * the WebGL shader and the 2D canvas fallback apply, so every output
+ * (live view, photos, recordings) follows the selected screen.
+ * 
+ * A preset defines its color transform in one of two ways:
+ * - coefficients only: hand-tuned per-channel values (see below)
+ * - transmission: a measured spectral curve, [[wavelengthNm, transmission], ...];
+ *   the color matrix is derived from it by deriveColorMatrix()
+ * 
+ * Coefficients:
+ * - red/green/blueTransmission: per-channel pass-through
+ * - violetMix: red light leaking into blue (the dicyanin purple cast)
+ * - darknessFactor: overall density of the screen
+ * - contrastBoost / contrastMidpoint: edge enhancement around mid-gray
+ */
+const SCREEN_PRESETS = [
+    /**
+     * AUTHENTIC KILNER DICYANIN FILTER
+     * 
+     * Based on scientific testing of actual dicyanin screens:
+     * Source: 1917 Bureau of Standards paper & spectral analysis
+     * 
+     * SPECTRAL TRANSMISSION:
+     * - PASSES: Blue/Violet (380-500nm) - high transmission
+     * - BLOCKS: Green (500-570nm) - almost complete absorption  
+     * - BLOCKS: Yellow (570-590nm) - almost complete absorption
+     * - PASSES: Deep Red/Near-IR (650-750nm+) - partial transmission
+     */
+    {
+        id: 'kilner-dark',
+        name: 'Kilner Dark Dicyanin',
+        citation: 'Kilner, W.J. (1911). The Human Atmosphere. Spectral data: Merrill, P.W. (1917), Bulletin of the Bureau of Standards 14(4).',
+        coefficients: {
+            redTransmission: 0.25,
+            greenTransmission: 0.05,
+            blueTransmission: 0.95,
+            darknessFactor: 0.55,
+            violetMix: 0.18,
+            contrastBoost: 1.2,
+            contrastMidpoint: 128
+        }
+    },
+    // Weaker dye solution - Kilner used it to "sensitize" the eye before the dark screen
+    {
+        id: 'kilner-light',
+        name: 'Kilner Light Dicyanin',
+        citation: 'Kilner, W.J. (1911). The Human Atmosphere, light dicyanin screen.',
+        coefficients: {
+            redTransmission: 0.45,
+            greenTransmission: 0.22,
+            blueTransmission: 0.95,
+            darknessFactor: 0.75,
+            violetMix: 0.12,
+            contrastBoost: 1.1,
+            contrastMidpoint: 128
+        }
+    },
+    // Carmine passes red and absorbs green and most blue
+    {
+        id: 'kilner-carmine',
+        name: 'Kilner Carmine',
+        citation: 'Kilner, W.J. (1911). The Human Atmosphere, carmine screen.',
+        coefficients: {
+            redTransmission: 0.9,
+            greenTransmission: 0.08,
+            blueTransmission: 0.22,
+            darknessFactor: 0.7,
+            violetMix: 0,
+            contrastBoost: 1.15,
+            contrastMidpoint: 128
+        }
+    },
+    // Dicyanin and carmine stacked - only deep red and a little violet survive
+    {
+        id: 'kilner-combined',
+        name: 'Kilner Combined (Dicyanin + Carmine)',
+        citation: 'Kilner, W.J. (1920). The Human Aura, combined screens.',
+        coefficients: {
+            redTransmission: 0.22,
+            greenTransmission: 0.02,
+            blueTransmission: 0.2,
+            darknessFactor: 0.5,
+            violetMix: 0.06,
+            contrastBoost: 1.25,
+            contrastMidpoint: 128
+        }
+    },
+    // Double glass lenses with alcoholised dicyanin solution
+    {
+        id: 'aurospecs',
+        name: 'Boddington Aurospecs',
+        citation: 'Boddington, H. (1931). Aura. Kilner Screens. (Aurospecs) and All About Them. Patented 1928.',
+        coefficients: {
+            redTransmission: 0.3,
+            greenTransmission: 0.06,
+            blueTransmission: 0.9,
+            darknessFactor: 0.5,
+            violetMix: 0.22,
+            contrastBoost: 1.2,
+            contrastMidpoint: 128
+        }
+    },
+    // Digitized from Merrill's 1917 dicyanin absorption plot - density is in the curve itself
+    {
+        id: 'merrill-1917',
+        name: 'Dicyanin Spectral Curve (1917)',
+        citation: 'Merrill, P.W. (1917). Application of Dicyanin to the Photography of Stellar Spectra. Bulletin of the Bureau of Standards 14(4), 487-505.',
+        transmission: [
+            [380, 0.62], [400, 0.7], [420, 0.74], [440, 0.74], [460, 0.68],
+            [480, 0.52], [500, 0.24], [520, 0.06], [540, 0.03], [560, 0.02],
+            [580, 0.03], [600, 0.06], [620, 0.1], [640, 0.15], [660, 0.2],
+            [680, 0.26], [700, 0.3], [740, 0.36], [780, 0.4]
+        ],
+        coefficients: {
+            darknessFactor: 1,
+            contrastBoost: 1.2,
+            contrastMidpoint: 128
+        }
+    },
+    // Bagnall substituted pinacyanol blue once dicyanin became scarce
+    {
+        id: 'bagnall',
+        name: 'Bagnall Goggles',
+        citation: 'Bagnall, O. (1937). The Origin and Properties of the Human Aura.',
+        coefficients: {
+            redTransmission: 0.15,
+            greenTransmission: 0.1,
+            blueTransmission: 0.9,
+            darknessFactor: 0.65,
+            violetMix: 0.1,
+            contrastBoost: 1.15,
+            contrastMidpoint: 128
+        }
+    }
+];
+
+const DEFAULT_PRESET_ID = 'kilner-dark';
+
+const STORAGE_KEYS = {
+    customFilters: 'dicyanin-viewer:custom-filters',
+    camera: 'dicyanin-viewer:camera',
+    performance: 'dicyanin-viewer:performance',
+    viewer: 'dicyanin-viewer:viewer-state',
+    sharing: 'dicyanin-viewer:sharing',
+    photo: 'dicyanin-viewer:photo',
+    recording: 'dicyanin-viewer:recording',
+    loop: 'dicyanin-viewer:loop',
+    experiment: 'dicyanin-viewer:experiment',
+    scope: 'dicyanin-viewer:scope',
+    stack: 'dicyanin-viewer:stack'
+};
+
+// Advanced editor sliders - get/set map each control onto a filter definition
+const FILTER_EDITOR_SLIDERS = [
+    { label: 'Darkness', min: 0, max: 1.5, step: 0.01, get: f => f.darknessFactor, set: (f, v) => { f.darknessFactor = v; } },
+    { label: 'Contrast', min: 0.5, max: 2.5, step: 0.01, get: f => f.contrastBoost, set: (f, v) => { f.contrastBoost = v; } },
+    { label: 'Midpoint', min: 0, max: 255, step: 1, get: f => f.contrastMidpoint, set: (f, v) => { f.contrastMidpoint = v; } },
+    { label: 'Gamma R', min: 0.2, max: 3, step: 0.01, get: f => f.gamma[0], set: (f, v) => { f.gamma[0] = v; } },
+    { label: 'Gamma G', min: 0.2, max: 3, step: 0.01, get: f => f.gamma[1], set: (f, v) => { f.gamma[1] = v; } },
+    { label: 'Gamma B', min: 0.2, max: 3, step: 0.01, get: f => f.gamma[2], set: (f, v) => { f.gamma[2] = v; } }
+];
+
+const CURVE_CHANNEL_COLORS = { r: '#ef4444', g: '#22c55e', b: '#3b82f6' };
+
+const WATERMARK_URL = 'ghost081280.github.io/dicyanin-viewer';
+
+const DEFAULT_WATERMARK_SETTINGS = Object.freeze({
+    enabled: true,
+    caption: 'DICYANIN FILTER ACTIVATED',
+    showTimestamp: false,
+    showPreset: false,
+    position: 'both', // 'both' | 'top' | 'bottom' | 'corner'
+    opacity: 1
+});
+
+// ==================== SPECTRAL MODEL ====================
+
+const SPECTRUM_START_NM = 380;
+const SPECTRUM_END_NM = 780;
+const SPECTRUM_STEP_NM = 5;
+
+/**
+ * Approximate sRGB camera sensitivity curves, as sums of Gaussians
+ * [peakNm, widthNm, weight]. The small short-wavelength lobe on red is
+ * what lets a screen that passes red and violet shift red toward purple.
+ */
+const CAMERA_SENSITIVITY = {
+    r: [[605, 38, 1], [445, 18, 0.08]],
+    g: [[540, 36, 1]],
+    b: [[455, 26, 1]]
+};
+
+function cameraSensitivity(channel, wavelength) {
+    return CAMERA_SENSITIVITY[channel].reduce((sum, [peak, width, weight]) => {
+        const x = (wavelength - peak) / width;
+        return sum + weight * Math.exp(-0.5 * x * x);
+    }, 0);
+}
+
+/**
+ * Linear interpolation into a sorted [[nm, t], ...] curve.
+ * Values outside the measured range hold the nearest endpoint.
+ */
+function sampleTransmission(curve, wavelength) {
+    if (wavelength <= curve[0][0]) return curve[0][1];
+    
+    for (let i = 1; i < curve.length; i++) {
+        const [nm, t] = curve[i];
+        if (wavelength <= nm) {
+            const [prevNm, prevT] = curve[i - 1];
+            return prevT + (t - prevT) * (wavelength - prevNm) / (nm - prevNm);
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+function invert3x3(m) {
+    const [a, b, c, d, e, f, g, h, i] = m;
+    const A = e * i - f * h;
+    const B = -(d * i - f * g);
+    const C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    
+    if (Math.abs(det) < 1e-12) {
+        throw new Error('Camera sensitivity matrix is singular');
+    }
+    
+    return [
+        A / det, -(b * i - c * h) / det, (b * f - c * e) / det,
+        B / det, (a * i - c * g) / det, -(a * f - c * d) / det,
+        C / det, -(a * h - b * g) / det, (a * e - b * d) / det
+    ];
+}
+
+function multiply3x3(m, n) {
+    const out = new Array(9);
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            out[row * 3 + col] =
+                m[row * 3] * n[col] +
+                m[row * 3 + 1] * n[3 + col] +
+                m[row * 3 + 2] * n[6 + col];
+        }
+    }
+    return out;
+}
+
+/**
+ * Derive the 3x3 color matrix (row-major, output RGB = M * input RGB)
+ * a screen with the given transmission curve applies to camera RGB.
+ * 
+ * The scene spectrum is approximated as a mix of the three sensitivity
+ * curves, E = Σ a_j S_j. The camera sees G·a with G_ij = ∫ S_i S_j,
+ * and through the screen sees F·a with F_ij = ∫ S_i T S_j, so
+ * M = F · G⁻¹. A fully clear screen (T = 1) gives the identity.
+ */
+function deriveColorMatrix(curve) {
+    const channels = ['r', 'g', 'b'];
+    const gram = new Array(9).fill(0);
+    const filtered = new Array(9).fill(0);
+    
+    for (let nm = SPECTRUM_START_NM; nm <= SPECTRUM_END_NM; nm += SPECTRUM_STEP_NM) {
+        const t = sampleTransmission(curve, nm);
+        const s = channels.map(channel => cameraSensitivity(channel, nm));
+        
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                gram[i * 3 + j] += s[i] * s[j];
+                filtered[i * 3 + j] += s[i] * t * s[j];
+            }
+        }
+    }
+    
+    return multiply3x3(filtered, invert3x3(gram));
+}
+
+/**
+ * Normalize a transmission curve: numeric pairs sorted by wavelength,
+ * percentages (any value above 1.5) scaled to 0-1.
+ * Throws with a user-facing message when the data is unusable.
+ */
+function normalizeTransmissionCurve(points) {
+    if (!Array.isArray(points)) {
+        throw new Error('Expected a list of wavelength/transmission pairs.');
+    }
+    
+    const curve = points.map((point, index) => {
+        const pair = Array.isArray(point)
+            ? point
+            : [point && point.wavelength, point && point.transmission];
+        const wavelength = Number(pair[0]);
+        const transmission = Number(pair[1]);
+        
+        if (!Number.isFinite(wavelength) || !Number.isFinite(transmission)) {
+            throw new Error(`Point ${index + 1} is not a number pair.`);
+        }
+        if (wavelength < 200 || wavelength > 1200) {
+            throw new Error(`Point ${index + 1}: wavelength ${wavelength} is not in nanometres.`);
+        }
+        if (transmission < 0) {
+            throw new Error(`Point ${index + 1}: transmission cannot be negative.`);
+        }
+        return [wavelength, transmission];
+    });
+    
+    if (curve.length < 2) {
+        throw new Error('A curve needs at least two points.');
+    }
+    
+    curve.sort((a, b) => a[0] - b[0]);
+    
+    const isPercent = curve.some(([, t]) => t > 1.5);
+    if (isPercent) {
+        curve.forEach(point => { point[1] /= 100; });
+    }
+    if (curve.some(([, t]) => t > 1)) {
+        throw new Error('Transmission values must be 0-1 or 0-100%.');
+    }
+    
+    return curve;
+}
+
+/**
+ * Parse a user-supplied curve file.
+ * 
+ * CSV: one "wavelength,transmission" pair per line, optional header row.
+ * JSON: [[nm, t], ...], [{ wavelength, transmission }, ...],
+ *       or { name, points: [...] }.
+ */
+function parseTransmissionFile(text, filename) {
+    const trimmed = text.trim();
+    let name = filename.replace(/\.[^.]+$/, '');
+    let points;
+    
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error('File is not valid JSON.');
+        }
+        if (!Array.isArray(data)) {
+            if (typeof data.name === 'string' && data.name.trim()) name = data.name.trim();
+            data = data.points;
+        }
+        points = data;
+    } else {
+        points = trimmed.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => line.split(/[,;\t ]+/))
+            .filter(cells => !Number.isNaN(parseFloat(cells[0])));
+    }
+    
+    return { name, curve: normalizeTransmissionCurve(points) };
+}
+
+// ==================== FILTER DEFINITIONS ====================
+
+/**
+ * A filter definition is what the renderers consume:
+ * - matrix: row-major 3x3 channel mix (output RGB = M * input RGB)
+ * - darknessFactor, contrastBoost, contrastMidpoint (0-255)
+ * - gamma: per-channel [r, g, b], applied as v^(1/gamma)
+ * - curves: per-channel { r, g, b } control points [[in, out], ...] in 0-255
+ * 
+ * Pipeline: matrix -> darkness -> contrast -> gamma -> curves -> intensity mix
+ */
+const IDENTITY_CURVE = [[0, 0], [255, 255]];
+
+const FILTER_FILE_FORMAT = 'dicyanin-filter';
+const FILTER_FILE_VERSION = 1;
+
+// FILTER_LUT_OFFSET, FILTER_LUT_SIZE and filterPixels live in filter-core.js
+
+function createFilterDefinition(base) {
+    return {
+        matrix: base.matrix.slice(),
+        darknessFactor: base.darknessFactor,
+        contrastBoost: base.contrastBoost,
+        contrastMidpoint: base.contrastMidpoint,
+        gamma: base.gamma ? base.gamma.slice() : [1, 1, 1],
+        curves: {
+            r: (base.curves ? base.curves.r : IDENTITY_CURVE).map(point => point.slice()),
+            g: (base.curves ? base.curves.g : IDENTITY_CURVE).map(point => point.slice()),
+            b: (base.curves ? base.curves.b : IDENTITY_CURVE).map(point => point.slice())
+        }
+    };
+}
+
+function isIdentityCurve(curve) {
+    return curve.every(([x, y]) => x === y);
+}
+
+/**
+ * Gamma and curves clamp to 0-255 first, so they're skipped when neutral
+ * and the historical presets keep the original unclamped darkness and
+ * contrast math. Not bit-for-bit: the 2D path rounds the channel mix to
+ * a whole lookup index, so a value can land one level off the original.
+ */
+function hasToneAdjustments(filter) {
+    return filter.gamma.some(g => g !== 1) ||
+        !isIdentityCurve(filter.curves.r) ||
+        !isIdentityCurve(filter.curves.g) ||
+        !isIdentityCurve(filter.curves.b);
+}
+
+// Piecewise linear through control points sorted by input
+function evaluateCurve(curve, x) {
+    if (x <= curve[0][0]) return curve[0][1];
+    
+    for (let i = 1; i < curve.length; i++) {
+        const [inValue, outValue] = curve[i];
+        if (x <= inValue) {
+            const [prevIn, prevOut] = curve[i - 1];
+            return prevOut + (outValue - prevOut) * (x - prevIn) / (inValue - prevIn);
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+/**
+ * Everything after the matrix as one lookup table per channel, so the
+ * 2D loop does a multiply-add and a table read per channel
+ */
+function buildFilterLut(filter) {
+    const tone = hasToneAdjustments(filter);
+    const { darknessFactor, contrastBoost, contrastMidpoint } = filter;
+    
+    return ['r', 'g', 'b'].map((channel, index) => {
+        const lut = new Float32Array(FILTER_LUT_SIZE);
+        const gamma = filter.gamma[index];
+        const curve = filter.curves[channel];
+        
+        for (let i = 0; i < FILTER_LUT_SIZE; i++) {
+            let value = (i - FILTER_LUT_OFFSET) * darknessFactor;
+            value = ((value - contrastMidpoint) * contrastBoost) + contrastMidpoint;
+            
+            if (tone) {
+                value = Math.max(0, Math.min(255, value));
+                value = 255 * Math.pow(value / 255, 1 / gamma);
+                value = evaluateCurve(curve, value);
+            }
+            lut[i] = value;
+        }
+        return lut;
+    });
+}
+
+// 256x1 RGBA texture data for the shader's curve lookup
+function buildCurveTextureData(filter) {
+    const data = new Uint8Array(256 * 4);
+    for (let i = 0; i < 256; i++) {
+        data[i * 4] = evaluateCurve(filter.curves.r, i);
+        data[i * 4 + 1] = evaluateCurve(filter.curves.g, i);
+        data[i * 4 + 2] = evaluateCurve(filter.curves.b, i);
+        data[i * 4 + 3] = 255;
+    }
+    return data;
+}
+
+/**
+ * Check an untrusted filter definition (e.g. from an imported file).
+ * Throws with a user-facing message describing the first problem found.
+ */
+function validateFilterDefinition(filter) {
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    
+    if (!filter || typeof filter !== 'object') {
+        throw new Error('Missing filter settings.');
+    }
+    if (!Array.isArray(filter.matrix) || filter.matrix.length !== 9 || !filter.matrix.every(isNumber)) {
+        throw new Error('"matrix" must be a list of 9 numbers (a 3x3 channel mix).');
+    }
+    if (filter.matrix.some(value => Math.abs(value) > 4)) {
+        throw new Error('"matrix" values must be between -4 and 4.');
+    }
+    
+    const ranges = {
+        darknessFactor: [0, 4],
+        contrastBoost: [0, 5],
+        contrastMidpoint: [0, 255]
+    };
+    Object.entries(ranges).forEach(([key, [min, max]]) => {
+        if (!isNumber(filter[key]) || filter[key] < min || filter[key] > max) {
+            throw new Error(`"${key}" must be a number from ${min} to ${max}.`);
+        }
+    });
+    
+    if (filter.gamma !== undefined) {
+        if (!Array.isArray(filter.gamma) || filter.gamma.length !== 3 ||
+            !filter.gamma.every(g => isNumber(g) && g >= 0.1 && g <= 10)) {
+            throw new Error('"gamma" must be 3 numbers from 0.1 to 10.');
+        }
+    }
+    
+    if (filter.curves !== undefined) {
+        if (!filter.curves || typeof filter.curves !== 'object') {
+            throw new Error('"curves" must have "r", "g" and "b" point lists.');
+        }
+        ['r', 'g', 'b'].forEach(channel => {
+            const curve = filter.curves[channel];
+            if (!Array.isArray(curve) || curve.length < 2) {
+                throw new Error(`"curves.${channel}" needs at least two [in, out] points.`);
+            }
+            curve.forEach((point, index) => {
+                if (!Array.isArray(point) || point.length !== 2 || !point.every(v => isNumber(v) && v >= 0 && v <= 255)) {
+                    throw new Error(`"curves.${channel}" point ${index + 1} must be [in, out] with values 0-255.`);
+                }
+                if (index > 0 && point[0] <= curve[index - 1][0]) {
+                    throw new Error(`"curves.${channel}" points must be in increasing input order.`);
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Parse an exported filter file: { format, version, name, filter }
+ */
+function parseFilterFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON.');
+    }
+    
+    if (!data || data.format !== FILTER_FILE_FORMAT) {
+        throw new Error('Not a Dicyanin Viewer filter file.');
+    }
+    if (data.version > FILTER_FILE_VERSION) {
+        throw new Error('This filter was made with a newer version of the app.');
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+        throw new Error('Filter has no name.');
+    }
+    validateFilterDefinition(data.filter);
+    
+    return { name: data.name.trim().slice(0, 40), filter: createFilterDefinition(data.filter) };
+}
+
+/**
+ * Resolve a preset into a filter definition. Saved custom filters carry
+ * one directly; screen presets are built from coefficients or a curve.
+ */
+function resolvePresetFilter(preset) {
+    if (preset.filter) {
+        return createFilterDefinition(preset.filter);
+    }
+    
+    const c = preset.coefficients;
+    const matrix = preset.transmission
+        ? deriveColorMatrix(preset.transmission)
+        : [
+            c.redTransmission, 0, 0,
+            0, c.greenTransmission, 0,
+            c.violetMix, 0, c.blueTransmission
+        ];
+    
+    return createFilterDefinition({
+        matrix,
+        darknessFactor: c.darknessFactor,
+        contrastBoost: c.contrastBoost,
+        contrastMidpoint: c.contrastMidpoint
+    });
+}
+
+// ==================== VIEWER STATE ====================
+
+/**
+ * The look a session restores and a share link carries. customFilter
+ * ({ name, filter }) is set when the preset isn't a built-in screen,
+ * since the receiving device won't have it.
+ */
+const DEFAULT_VIEWER_STATE = Object.freeze({
+    intensity: 0.85,
+    filterEnabled: true,
+    facingMode: 'environment',
+    presetId: DEFAULT_PRESET_ID,
+    customFilter: null,
+    watermark: DEFAULT_WATERMARK_SETTINGS
+});
+
+const WATERMARK_POSITIONS = ['both', 'top', 'bottom', 'corner'];
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function encodeBase64Url(text) {
+    return bytesToBase64Url(new TextEncoder().encode(text));
+}
+
+function decodeBase64Url(text) {
+    return new TextDecoder().decode(base64UrlToBytes(text));
+}
+
+/**
+ * Viewer state as link parameters - only values that differ from the
+ * defaults, so plain links stay plain:
+ * #intensity=70&filter=off&camera=front&preset=bagnall&watermark=corner&caption=...
+ */
+function encodeViewerState(state) {
+    const params = new URLSearchParams();
+    const defaults = DEFAULT_VIEWER_STATE;
+    
+    if (state.intensity !== defaults.intensity) params.set('intensity', Math.round(state.intensity * 100));
+    if (!state.filterEnabled) params.set('filter', 'off');
+    if (state.facingMode !== defaults.facingMode) params.set('camera', 'front');
+    
+    if (state.customFilter) {
+        // 4 decimals is plenty and keeps the link short
+        const json = JSON.stringify(state.customFilter, (key, value) =>
+            typeof value === 'number' ? Math.round(value * 1e4) / 1e4 : value
+        );
+        params.set('custom', encodeBase64Url(json));
+    } else if (state.presetId !== defaults.presetId) {
+        params.set('preset', state.presetId);
+    }
+    
+    const watermark = state.watermark;
+    const watermarkDefaults = DEFAULT_WATERMARK_SETTINGS;
+    if (!watermark.enabled) {
+        params.set('watermark', 'off');
+    } else {
+        if (watermark.position !== watermarkDefaults.position) params.set('watermark', watermark.position);
+        if (watermark.caption !== watermarkDefaults.caption) params.set('caption', watermark.caption);
+        if (watermark.opacity !== watermarkDefaults.opacity) params.set('opacity', Math.round(watermark.opacity * 100));
+        if (watermark.showTimestamp) params.set('timestamp', '1');
+        if (watermark.showPreset) params.set('screen', '1');
+    }
+    
+    return params.toString();
+}
+
+/**
+ * Parse link parameters back into a complete viewer state - anything
+ * missing takes its default. Returns null when the link carries no
+ * viewer state. Invalid values are ignored rather than rejected.
+ */
+function decodeViewerState(query) {
+    const params = new URLSearchParams(query);
+    const keys = ['intensity', 'filter', 'camera', 'preset', 'custom', 'watermark', 'caption', 'opacity', 'timestamp', 'screen'];
+    if (!keys.some(key => params.has(key))) return null;
+    
+    const state = { ...DEFAULT_VIEWER_STATE, watermark: { ...DEFAULT_WATERMARK_SETTINGS } };
+    
+    const intensity = parseInt(params.get('intensity'), 10);
+    if (Number.isFinite(intensity)) state.intensity = Math.max(0, Math.min(100, intensity)) / 100;
+    state.filterEnabled = params.get('filter') !== 'off';
+    if (params.get('camera') === 'front') state.facingMode = 'user';
+    if (params.has('preset')) state.presetId = params.get('preset');
+    
+    if (params.has('custom')) {
+        try {
+            const { name, filter } = JSON.parse(decodeBase64Url(params.get('custom')));
+            validateFilterDefinition(filter);
+            state.presetId = null;
+            state.customFilter = {
+                name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 40) : 'Shared Filter',
+                filter: createFilterDefinition(filter)
+            };
+        } catch (error) {
+            console.warn('Ignoring invalid shared filter:', error.message);
+        }
+    }
+    
+    const watermark = params.get('watermark');
+    if (watermark === 'off') state.watermark.enabled = false;
+    if (WATERMARK_POSITIONS.includes(watermark)) state.watermark.position = watermark;
+    if (params.has('caption')) state.watermark.caption = params.get('caption').slice(0, 60);
+    const opacity = parseInt(params.get('opacity'), 10);
+    if (Number.isFinite(opacity)) state.watermark.opacity = Math.max(10, Math.min(100, opacity)) / 100;
+    state.watermark.showTimestamp = params.get('timestamp') === '1';
+    state.watermark.showPreset = params.get('screen') === '1';
+    
+    return state;
+}
+
+// ==================== TEST PATTERNS ====================
+
+/**
+ * Synthetic sources for checking the pipeline without a camera - known
+ * colors to validate screens against, and motion for recording, long
+ * exposures and the aura overlay. draw(ctx, width, height, seconds)
+ * paints one whole frame.
+ */
+const TEST_PATTERN_WIDTH = 1280;
+const TEST_PATTERN_HEIGHT = 720;
+const TEST_PATTERN_FRAME_RATE = 30;
+const SPECTRAL_SWEEP_SECONDS = 8;
+
+// SMPTE EG 1 bars at 75% amplitude with 7.5% setup, as 8-bit RGB
+const SMPTE_BARS = {
+    top: ['#c0c0c0', '#c0c000', '#00c0c0', '#00c000', '#c000c0', '#c00000', '#0000c0'],
+    middle: ['#0000c0', '#131313', '#c000c0', '#131313', '#00c0c0', '#131313', '#c0c0c0'],
+    // -I, 100% white, +Q, then black with the PLUGE steps below, at and above black
+    bottom: ['#00214c', '#ffffff', '#32006a', '#131313'],
+    pluge: ['#090909', '#131313', '#1d1d1d']
+};
+
+// The 24 ColorChecker patches in sRGB, row by row
+const COLOR_CHECKER_PATCHES = [
+    [115, 82, 68], [194, 150, 130], [98, 122, 157], [87, 108, 67], [133, 128, 177], [103, 189, 170],
+    [214, 126, 44], [80, 91, 166], [193, 90, 99], [94, 60, 108], [157, 188, 64], [224, 163, 46],
+    [56, 61, 150], [70, 148, 73], [175, 54, 60], [231, 199, 31], [187, 86, 149], [8, 133, 161],
+    [243, 243, 242], [200, 200, 200], [160, 160, 160], [122, 122, 121], [85, 85, 85], [52, 52, 52]
+];
+
+function drawColorBars(ctx, width, height) {
+    const bar = width / 7;
+    const topHeight = Math.round(height * 0.67);
+    const middleHeight = Math.round(height * 0.08);
+    
+    SMPTE_BARS.top.forEach((color, i) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(Math.round(i * bar), 0, Math.ceil(bar), topHeight);
+    });
+    SMPTE_BARS.middle.forEach((color, i) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(Math.round(i * bar), topHeight, Math.ceil(bar), middleHeight);
+    });
+    
+    // Bottom row: four patches 5/4 of a bar wide, the PLUGE in bar six
+    const bottomTop = topHeight + middleHeight;
+    const bottomHeight = height - bottomTop;
+    ctx.fillStyle = '#131313';
+    ctx.fillRect(0, bottomTop, width, bottomHeight);
+    SMPTE_BARS.bottom.forEach((color, i) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(Math.round(i * bar * 1.25), bottomTop, Math.ceil(bar * 1.25), bottomHeight);
+    });
+    SMPTE_BARS.pluge.forEach((color, i) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(Math.round(5 * bar + i * bar / 3), bottomTop, Math.ceil(bar / 3), bottomHeight);
+    });
+}
+
+/**
+ * What the modeled camera records for monochromatic light - the same
+ * sensitivity curves the spectral screens are derived from
+ */
+function spectralColor(wavelength) {
+    const [r, g, b] = ['r', 'g', 'b'].map(channel => {
+        const linear = Math.min(1, cameraSensitivity(channel, wavelength));
+        return Math.round(255 * Math.pow(linear, 1 / 2.2));
+    });
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * The spectrum from SPECTRUM_START_NM to SPECTRUM_END_NM, with one
+ * wavelength at a time swept across it and shown as a solid patch
+ */
+function drawSpectralSweep(ctx, width, height, seconds) {
+    const span = SPECTRUM_END_NM - SPECTRUM_START_NM;
+    const bandHeight = Math.round(height * 0.6);
+    
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    const band = ctx.createLinearGradient(0, 0, width, 0);
+    for (let nm = SPECTRUM_START_NM; nm <= SPECTRUM_END_NM; nm += SPECTRUM_STEP_NM) {
+        band.addColorStop((nm - SPECTRUM_START_NM) / span, spectralColor(nm));
+    }
+    ctx.fillStyle = band;
+    ctx.fillRect(0, 0, width, bandHeight);
+    
+    ctx.fillStyle = '#808080';
+    ctx.font = `${Math.round(height * 0.025)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let nm = 400; nm < SPECTRUM_END_NM; nm += 50) {
+        const x = Math.round(width * (nm - SPECTRUM_START_NM) / span);
+        ctx.fillRect(x, bandHeight, 1, height * 0.02);
+        ctx.fillText(`${nm}`, x, bandHeight + height * 0.03);
+    }
+    
+    const progress = (seconds % SPECTRAL_SWEEP_SECONDS) / SPECTRAL_SWEEP_SECONDS;
+    const wavelength = Math.round(SPECTRUM_START_NM + span * progress);
+    const cursor = Math.round(width * progress);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(cursor - 1, 0, 2, bandHeight);
+    
+    const patchTop = Math.round(height * 0.72);
+    ctx.fillStyle = spectralColor(wavelength);
+    ctx.fillRect(Math.round(width * 0.3), patchTop, Math.round(width * 0.4), height - patchTop - Math.round(height * 0.04));
+    ctx.fillStyle = '#808080';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${wavelength} nm`, Math.round(width * 0.72), Math.round((patchTop + height) / 2));
+}
+
+function drawColorChecker(ctx, width, height) {
+    ctx.fillStyle = '#1e1e1e';
+    ctx.fillRect(0, 0, width, height);
+    
+    const cell = Math.min(width / 6.5, height / 4.5);
+    const gap = cell * 0.12;
+    const left = (width - cell * 6) / 2;
+    const top = (height - cell * 4) / 2;
+    COLOR_CHECKER_PATCHES.forEach(([r, g, b], i) => {
+        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.fillRect(
+            Math.round(left + (i % 6) * cell + gap / 2),
+            Math.round(top + Math.floor(i / 6) * cell + gap / 2),
+            Math.round(cell - gap),
+            Math.round(cell - gap)
+        );
+    });
+}
+
+/**
+ * A skin-toned head-and-shoulders figure drifting across a gridded
+ * backdrop, with a bright point circling it for light-trail exposures
+ */
+function drawMovingObject(ctx, width, height, seconds) {
+    ctx.fillStyle = '#3c3c46';
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = '#50505c';
+    const grid = Math.round(height / 12);
+    for (let x = grid; x < width; x += grid) ctx.fillRect(x, 0, 1, height);
+    for (let y = grid; y < height; y += grid) ctx.fillRect(0, y, width, 1);
+    
+    const cx = width / 2 + Math.sin(seconds * Math.PI / 3) * width * 0.25;
+    const head = height * 0.13;
+    const headY = height * 0.42;
+    ctx.fillStyle = 'rgb(194, 150, 130)';
+    ctx.beginPath();
+    ctx.arc(cx, headY, head, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.ellipse(cx, height, head * 2.4, height - headY - head * 1.3, 0, Math.PI, 0);
+    ctx.fill();
+    
+    const angle = seconds * Math.PI;
+    ctx.fillStyle = '#fff';
+    ctx.beginPath();
+    ctx.arc(cx + Math.cos(angle) * head * 2, headY + Math.sin(angle) * head * 2, height * 0.015, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+const TEST_PATTERNS = {
+    bars: { label: 'SMPTE Color Bars', draw: drawColorBars },
+    spectrum: { label: 'Spectral Sweep', draw: drawSpectralSweep },
+    checker: { label: 'Color Checker', draw: drawColorChecker },
+    motion: { label: 'Moving Object', draw: drawMovingObject }
+};
+
+// ==================== LIVE VIEW ====================
+
+/**
+ * Peer-to-peer live view. Offers and answers travel by hand - an invite
+ * link, pasted text or a QR code - so no signaling server is involved.
+ * Each description waits for ICE gathering to finish first, since
+ * there's no channel to trickle candidates through later.
+ */
+const LIVE_RTC_CONFIGURATION = {
+    // Public STUN finds a route between networks - peers on the same
+    // network or device connect without it
+    iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
+};
+const LIVE_ICE_TIMEOUT_MS = 4000;
+const LIVE_FRAME_RATE = 30;
+const LIVE_SCAN_INTERVAL_MS = 300;
+
+// Invite links open the app in watch mode: #watch=<offer>
+const LIVE_INVITE_PARAM = 'watch';
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * A session description as one URL-safe token - deflated ('z') where
+ * the browser can compress, plain ('p') otherwise
+ */
+async function encodeLiveSignal({ type, sdp }) {
+    const bytes = new TextEncoder().encode(JSON.stringify({ type, sdp }));
+    if (typeof CompressionStream === 'undefined') return `p${bytesToBase64Url(bytes)}`;
+    return `z${bytesToBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+}
+
+/**
+ * Read a token back - bare, or inside a whole invite link, with any
+ * line breaks a messaging app added. Throws unless it holds a session
+ * description of the expected type ('offer' or 'answer').
+ */
+async function decodeLiveSignal(text, expectedType) {
+    const kind = expectedType === 'offer' ? 'invite' : 'answer';
+    let token = String(text).replace(/\s+/g, '');
+    const linked = token.match(new RegExp(`[#&?]${LIVE_INVITE_PARAM}=([^&]+)`));
+    if (linked) token = linked[1];
+    
+    let description;
+    try {
+        let bytes = base64UrlToBytes(token.slice(1));
+        if (token[0] === 'z') {
+            bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+        } else if (token[0] !== 'p') {
+            throw new Error('unknown format');
+        }
+        description = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error(`This isn't a complete live view ${kind} - copy all of it and try again`);
+    }
+    
+    if (!description || description.type !== expectedType || typeof description.sdp !== 'string') {
+        throw new Error(`This isn't a live view ${kind}`);
+    }
+    return { type: description.type, sdp: description.sdp };
+}
+
+/**
+ * Resolves once every ICE candidate is in the local description, or
+ * after LIVE_ICE_TIMEOUT_MS - an unreachable STUN server shouldn't
+ * hold up peers that can connect directly
+ */
+function waitForIceGathering(connection) {
+    if (connection.iceGatheringState === 'complete') return Promise.resolve();
+    
+    return new Promise(resolve => {
+        const finish = () => {
+            clearTimeout(timer);
+            connection.removeEventListener('icegatheringstatechange', onChange);
+            resolve();
+        };
+        const onChange = () => {
+            if (connection.iceGatheringState === 'complete') finish();
+        };
+        const timer = setTimeout(finish, LIVE_ICE_TIMEOUT_MS);
+        connection.addEventListener('icegatheringstatechange', onChange);
+    });
+}
+
+/**
+ * Offer VP8 alone - every WebRTC browser decodes it, and leaving out
+ * the other codecs keeps the invite short enough for a QR code
+ */
+function preferLiveCodec(transceiver) {
+    if (!transceiver.setCodecPreferences || !window.RTCRtpSender || !RTCRtpSender.getCapabilities) return;
+    
+    const capabilities = RTCRtpSender.getCapabilities('video');
+    const codecs = capabilities ? capabilities.codecs.filter(codec => codec.mimeType.toLowerCase() === 'video/vp8') : [];
+    if (!codecs.length) return;
+    
+    try {
+        transceiver.setCodecPreferences(codecs);
+    } catch (error) {
+        console.warn('Could not limit live view codecs:', error);
+    }
+}
+
+/**
+ * Paint a QR code (from createQrCode) with a four-module quiet zone.
+ * Returns false when the text is too long for any QR code.
+ */
+function drawQrCode(canvas, text) {
+    let qr;
+    try {
+        qr = createQrCode(text);
+    } catch (error) {
+        return false;
+    }
+    
+    const quiet = 4;
+    const scale = Math.max(2, Math.floor(512 / (qr.size + quiet * 2)));
+    canvas.width = canvas.height = (qr.size + quiet * 2) * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#000';
+    for (let y = 0; y < qr.size; y++) {
+        for (let x = 0; x < qr.size; x++) {
+            if (qr.modules[y * qr.size + x]) ctx.fillRect((x + quiet) * scale, (y + quiet) * scale, scale, scale);
+        }
+    }
+    return true;
+}
+
+// ==================== BLIND TRIALS ====================
+
+/**
+ * Experiment mode: each trial sets hidden conditions (filter on/off,
+ * screen, intensity), the observer looks, then answers one question.
+ * Randomized variables are balanced - every level appears equally often
+ * (as far as the trial count allows) - then shuffled.
+ */
+const TRIAL_INTENSITIES = [0.25, 0.5, 0.75, 1];
+
+const TRIAL_ANSWER_TYPES = {
+    yesno: { label: 'Yes / No', answers: ['Yes', 'No'] },
+    scale5: { label: 'Rating 1-5', answers: ['1', '2', '3', '4', '5'] },
+    scale7: { label: 'Rating 1-7', answers: ['1', '2', '3', '4', '5', '6', '7'] }
+};
+
+const DEFAULT_EXPERIMENT_SETTINGS = {
+    trials: 10,
+    randomizeFilter: true,
+    randomizePreset: false,
+    randomizeIntensity: false,
+    question: 'Do you see a halo around the subject?',
+    answerType: 'yesno'
+};
+
+function shuffleInPlace(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+// Repeat levels to fill count, then shuffle
+function balancedLevels(levels, count) {
+    return shuffleInPlace(Array.from({ length: count }, (_, i) => levels[i % levels.length]));
+}
+
+/**
+ * Hidden conditions for every trial. Variables that aren't randomized
+ * keep the current value.
+ */
+function createTrialConditions(settings, current, presetIds) {
+    const count = settings.trials;
+    const filter = settings.randomizeFilter ? balancedLevels([true, false], count) : null;
+    const presets = settings.randomizePreset ? balancedLevels(presetIds, count) : null;
+    const intensities = settings.randomizeIntensity ? balancedLevels(TRIAL_INTENSITIES, count) : null;
+    
+    return Array.from({ length: count }, (_, i) => ({
+        filterEnabled: filter ? filter[i] : current.filterEnabled,
+        presetId: presets ? presets[i] : current.presetId,
+        intensity: intensities ? intensities[i] : current.intensity
+    }));
+}
+
+const TRIAL_LOG_COLUMNS = [
+    'trial', 'filterEnabled', 'presetId', 'presetName', 'intensity',
+    'question', 'response', 'shownAt', 'answeredAt', 'viewSeconds'
+];
+
+function formatTrialLogCsv(trials) {
+    const escape = (value) => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [
+        TRIAL_LOG_COLUMNS.join(','),
+        ...trials.map(trial => TRIAL_LOG_COLUMNS.map(column => escape(trial[column])).join(','))
+    ].join('\r\n') + '\r\n';
+}
+
+// ==================== CAPTURE STORE ====================
+
+/**
+ * IndexedDB store for the gallery. Records:
+ * { id, type: 'image' | 'video', blob, thumbnail, createdAt, width, height, settings }
+ */
+const CAPTURE_DB_NAME = 'dicyanin-viewer';
+const CAPTURE_DB_VERSION = 1;
+const CAPTURE_STORE = 'captures';
+const GALLERY_THUMBNAIL_WIDTH = 240;
+
+let captureDatabase = null;
+
+function formatBytes(size) {
+    return size >= 1e9 ? `${(size / 1e9).toFixed(1)} GB` : `${(size / 1e6).toFixed(1)} MB`;
+}
+
+function openCaptureDatabase() {
+    if (!captureDatabase) {
+        captureDatabase = new Promise((resolve, reject) => {
+            const request = indexedDB.open(CAPTURE_DB_NAME, CAPTURE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(CAPTURE_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('createdAt', 'createdAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call retry if opening failed
+        captureDatabase.catch(() => { captureDatabase = null; });
+    }
+    return captureDatabase;
+}
+
+async function runCaptureTransaction(mode, operation) {
+    const db = await openCaptureDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(CAPTURE_STORE, mode);
+        const request = operation(transaction.objectStore(CAPTURE_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function addCapture(record) {
+    return runCaptureTransaction('readwrite', store => store.add(record));
+}
+
+// Newest first
+async function getAllCaptures() {
+    const records = await runCaptureTransaction('readonly', store => store.index('createdAt').getAll());
+    return records.reverse();
+}
+
+function deleteCapture(id) {
+    return runCaptureTransaction('readwrite', store => store.delete(id));
+}
+
+function clearCaptures() {
+    return runCaptureTransaction('readwrite', store => store.clear());
+}
+
+// ==================== ZIP ARCHIVE ====================
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes, crc = 0) {
+    crc = ~crc >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+/**
+ * Build a ZIP archive from [{ name, data: Uint8Array, date }]. Entries
+ * are stored uncompressed - photos and videos are already compressed,
+ * so deflate would gain almost nothing.
+ */
+function createZipArchive(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+        const date = file.date || new Date();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        
+        // Local file header
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true);              // version needed
+        header.setUint16(6, 0x0800, true);          // UTF-8 names
+        header.setUint16(8, 0, true);               // stored
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, size, true);
+        header.setUint32(22, size, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+        parts.push(header.buffer, name, file.data);
+        
+        // Central directory entry
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);
+        entry.setUint16(4, 20, true);               // version made by
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, size, true);
+        entry.setUint32(24, size, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry.buffer, name);
+        
+        offset += 30 + name.length + size;
+    });
+    
+    const centralSize = central.reduce((total, part) => total + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+// ==================== IMAGE METADATA ====================
+
+/**
+ * Exported photos carry the settings that made them, as JSON under
+ * IMAGE_METADATA_KEY: a PNG iTXt chunk (plus plain tEXt fields other
+ * tools show), or XMP in JPEG (with basic EXIF) and WebP. Opening a
+ * tagged image offers to restore its settings.
+ */
+const IMAGE_METADATA_KEY = 'dicyanin-viewer';
+const XMP_NAMESPACE = 'https://ghost081280.github.io/dicyanin-viewer/ns/1.0/';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+const PHOTO_FORMATS = {
+    png: { type: 'image/png', extension: 'png' },
+    jpeg: { type: 'image/jpeg', extension: 'jpg' },
+    webp: { type: 'image/webp', extension: 'webp' }
+};
+
+const DEFAULT_PHOTO_SETTINGS = {
+    format: 'png',
+    quality: 0.92
+};
+
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+// tEXt and EXIF ASCII fields can't hold arbitrary Unicode
+function toLatin1Bytes(text, asciiOnly = false) {
+    const limit = asciiOnly ? 0x7F : 0xFF;
+    return Uint8Array.from(text, char => char.charCodeAt(0) <= limit ? char.charCodeAt(0) : 0x3F);
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeXml(text) {
+    return text.replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function describeImageMetadata(metadata) {
+    return metadata.filterEnabled === false
+        ? 'Dicyanin filter off'
+        : `${metadata.preset} screen at ${Math.round(metadata.intensity * 100)}% intensity`;
+}
+
+function createPngChunk(type, data) {
+    const typeBytes = toLatin1Bytes(type);
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(typeBytes, 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(concatBytes([typeBytes, data])));
+    return chunk;
+}
+
+function embedPngMetadata(bytes, metadata) {
+    const text = (keyword, value) => createPngChunk('tEXt', concatBytes([
+        toLatin1Bytes(keyword), new Uint8Array([0]), toLatin1Bytes(value)
+    ]));
+    // iTXt: keyword, no compression, empty language and translated keyword, UTF-8 text
+    const itxt = createPngChunk('iTXt', concatBytes([
+        toLatin1Bytes(IMAGE_METADATA_KEY), new Uint8Array([0, 0, 0, 0, 0]),
+        new TextEncoder().encode(JSON.stringify(metadata))
+    ]));
+    
+    const chunks = [
+        text('Software', `Dicyanin Viewer ${APP_VERSION}`),
+        text('Creation Time', new Date(metadata.timestamp).toUTCString()),
+        text('Description', describeImageMetadata(metadata)),
+        text('Source', metadata.camera || 'Unknown'),
+        itxt
+    ];
+    
+    // Straight after the 8-byte signature and the IHDR chunk (13 bytes of data)
+    const insertAt = 8 + 12 + 13;
+    return concatBytes([bytes.subarray(0, insertAt), ...chunks, bytes.subarray(insertAt)]);
+}
+
+function createXmpPacket(metadata) {
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about=""
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:dicyanin="${XMP_NAMESPACE}"
+    xmp:CreatorTool="Dicyanin Viewer ${APP_VERSION}"
+    xmp:CreateDate="${escapeXml(metadata.timestamp)}"
+    dicyanin:Preset="${escapeXml(metadata.preset)}"
+    dicyanin:Intensity="${metadata.intensity}"
+    dicyanin:Settings="${escapeXml(JSON.stringify(metadata))}"/>
+</rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="r"?>`;
+}
+
+// Minimal little-endian TIFF with ImageDescription, Model, Software and DateTime
+function createExifSegment(metadata) {
+    const date = new Date(metadata.timestamp);
+    const pad = (value) => String(value).padStart(2, '0');
+    const dateTime = `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    
+    const fields = [
+        [0x010E, describeImageMetadata(metadata)],
+        [0x0110, metadata.camera || 'Unknown'],
+        [0x0131, `Dicyanin Viewer ${APP_VERSION}`],
+        [0x0132, dateTime]
+    ].map(([tag, value]) => [tag, concatBytes([toLatin1Bytes(value, true), new Uint8Array([0])])]);
+    
+    const ifdSize = 2 + fields.length * 12 + 4;
+    const dataSize = fields.reduce((sum, [, value]) => sum + (value.length > 4 ? value.length : 0), 0);
+    const tiff = new Uint8Array(8 + ifdSize + dataSize);
+    const view = new DataView(tiff.buffer);
+    
+    tiff.set([0x49, 0x49, 0x2A, 0x00]);
+    view.setUint32(4, 8, true);
+    view.setUint16(8, fields.length, true);
+    
+    let dataOffset = 8 + ifdSize;
+    fields.forEach(([tag, value], index) => {
+        const entry = 10 + index * 12;
+        view.setUint16(entry, tag, true);
+        view.setUint16(entry + 2, 2, true);         // ASCII
+        view.setUint32(entry + 4, value.length, true);
+        if (value.length <= 4) {
+            tiff.set(value, entry + 8);
+        } else {
+            view.setUint32(entry + 8, dataOffset, true);
+            tiff.set(value, dataOffset);
+            dataOffset += value.length;
+        }
+    });
+    
+    return concatBytes([toLatin1Bytes('Exif\0\0'), tiff]);
+}
+
+function createJpegSegment(marker, payload) {
+    const header = new Uint8Array(4);
+    const view = new DataView(header.buffer);
+    view.setUint8(0, 0xFF);
+    view.setUint8(1, marker);
+    view.setUint16(2, payload.length + 2);
+    return concatBytes([header, payload]);
+}
+
+function embedJpegMetadata(bytes, metadata) {
+    const segments = [
+        createJpegSegment(0xE1, createExifSegment(metadata)),
+        createJpegSegment(0xE1, concatBytes([toLatin1Bytes(XMP_HEADER), new TextEncoder().encode(createXmpPacket(metadata))]))
+    ];
+    
+    // After SOI, and after a JFIF APP0 segment if the encoder wrote one
+    let insertAt = 2;
+    if (bytes[2] === 0xFF && bytes[3] === 0xE0) {
+        insertAt += 2 + ((bytes[4] << 8) | bytes[5]);
+    }
+    return concatBytes([bytes.subarray(0, insertAt), ...segments, bytes.subarray(insertAt)]);
+}
+
+function createRiffChunk(fourCC, data) {
+    const header = new Uint8Array(8);
+    header.set(toLatin1Bytes(fourCC));
+    new DataView(header.buffer).setUint32(4, data.length, true);
+    // Chunks are padded to an even size
+    return concatBytes([header, data, new Uint8Array(data.length % 2)]);
+}
+
+/**
+ * WebP keeps XMP in an extended (VP8X) file - simple lossy/lossless
+ * files from the encoder get a VP8X header added first
+ */
+function embedWebpMetadata(bytes, metadata, width, height) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const firstChunk = String.fromCharCode(...bytes.subarray(12, 16));
+    const xmp = createRiffChunk('XMP ', new TextEncoder().encode(createXmpPacket(metadata)));
+    let body;
+    
+    if (firstChunk === 'VP8X') {
+        body = bytes.slice(12);
+        body[8] |= 0x04;                                   // XMP flag
+    } else {
+        // VP8L stores an alpha_is_used bit after the 28 bits of size
+        const alpha = firstChunk === 'VP8L' && (view.getUint32(21, true) >>> 28) & 1;
+        const vp8x = new Uint8Array(10);
+        vp8x[0] = 0x04 | (alpha ? 0x10 : 0);
+        vp8x.set([(width - 1) & 0xFF, ((width - 1) >> 8) & 0xFF, ((width - 1) >> 16) & 0xFF], 4);
+        vp8x.set([(height - 1) & 0xFF, ((height - 1) >> 8) & 0xFF, ((height - 1) >> 16) & 0xFF], 7);
+        body = concatBytes([createRiffChunk('VP8X', vp8x), bytes.subarray(12)]);
+    }
+    
+    const riff = new Uint8Array(12);
+    riff.set(toLatin1Bytes('RIFF'));
+    new DataView(riff.buffer).setUint32(4, 4 + body.length + xmp.length, true);
+    riff.set(toLatin1Bytes('WEBP'), 8);
+    return concatBytes([riff, body, xmp]);
+}
+
+function embedImageMetadata(bytes, type, metadata, width, height) {
+    switch (type) {
+        case 'image/png': return embedPngMetadata(bytes, metadata);
+        case 'image/jpeg': return embedJpegMetadata(bytes, metadata);
+        case 'image/webp': return embedWebpMetadata(bytes, metadata, width, height);
+        default: return bytes;
+    }
+}
+
+/**
+ * Read settings embedded by embedImageMetadata - null when the image
+ * doesn't carry any
+ */
+function readImageMetadata(bytes) {
+    const latin1 = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    
+    const fromXmp = (packet) => {
+        const match = new TextDecoder().decode(packet).match(/dicyanin:Settings="([^"]*)"/);
+        return match ? JSON.parse(unescapeXml(match[1])) : null;
+    };
+    
+    // PNG - walk the chunks for our iTXt
+    if (bytes[0] === 0x89 && latin1(1, 4) === 'PNG') {
+        for (let offset = 8; offset + 8 <= bytes.length;) {
+            const length = view.getUint32(offset);
+            const type = latin1(offset + 4, offset + 8);
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+            if (type === 'iTXt' && new TextDecoder().decode(data.subarray(0, IMAGE_METADATA_KEY.length)) === IMAGE_METADATA_KEY) {
+                // keyword \0 compression flag, method, language \0, translated keyword \0
+                let textStart = IMAGE_METADATA_KEY.length + 3;
+                textStart = data.indexOf(0, textStart) + 1;
+                textStart = data.indexOf(0, textStart) + 1;
+                return JSON.parse(new TextDecoder().decode(data.subarray(textStart)));
+            }
+            if (type === 'IEND') break;
+            offset += 12 + length;
+        }
+        return null;
+    }
+    
+    // JPEG - APP1 segments until the image data starts
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        for (let offset = 2; offset + 4 <= bytes.length && bytes[offset] === 0xFF;) {
+            const marker = bytes[offset + 1];
+            const length = view.getUint16(offset + 2);
+            if (marker === 0xDA) break;
+            if (marker === 0xE1 && latin1(offset + 4, offset + 4 + XMP_HEADER.length) === XMP_HEADER) {
+                return fromXmp(bytes.subarray(offset + 4 + XMP_HEADER.length, offset + 2 + length));
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+    
+    // WebP - RIFF chunks for XMP
+    if (latin1(0, 4) === 'RIFF' && latin1(8, 12) === 'WEBP') {
+        for (let offset = 12; offset + 8 <= bytes.length;) {
+            const length = view.getUint32(offset + 4, true);
+            if (latin1(offset, offset + 4) === 'XMP ') {
+                return fromXmp(bytes.subarray(offset + 8, offset + 8 + length));
+            }
+            offset += 8 + length + (length % 2);
+        }
+    }
+    return null;
+}
+
+const FILTER_VERTEX_SHADER = `
+    attribute vec2 a_position;
+    varying vec2 v_texCoord;
+    
+    void main() {
+        // Video frames are top-down, clip space is bottom-up
+        v_texCoord = vec2(a_position.x + 1.0, 1.0 - a_position.y) * 0.5;
+        gl_Position = vec4(a_position, 0.0, 1.0);
+    }
+`;
+
+// Same math as applyDicyaninFilter, in 0-1 color space instead of 0-255
+const FILTER_FRAGMENT_SHADER = `
+    precision mediump float;
+    
+    uniform sampler2D u_frame;
+    uniform float u_intensity;
+    uniform mat3 u_matrix;
+    uniform float u_darkness;
+    uniform float u_contrast;
+    uniform float u_midpoint;
+    uniform float u_toneEnabled;
+    uniform vec3 u_gamma;
+    // 256x1 per-channel curve lookup (see buildCurveTextureData)
+    uniform sampler2D u_curves;
+    // Comparison: 0 off, 1 split (raw | filtered side by side), 2 wipe
+    uniform float u_compareMode;
+    uniform float u_divider;
+    uniform float u_dividerWidth;
+    // Signed afterimage offsets, encoded around 128 (see updateAfterimage)
+    uniform sampler2D u_afterimage;
+    uniform float u_afterimageAmount;
+    // Aura glow bands in source coordinates, straight alpha (see updateAuraOverlay)
+    uniform sampler2D u_aura;
+    uniform float u_auraAmount;
+    varying vec2 v_texCoord;
+    
+    void main() {
+        vec2 uv = v_texCoord;
+        bool raw = false;
+        
+        if (u_compareMode == 1.0) {
+            raw = uv.x < 0.5;
+            uv.x = raw ? uv.x * 2.0 : uv.x * 2.0 - 1.0;
+        } else if (u_compareMode == 2.0) {
+            raw = uv.x < u_divider;
+        }
+        
+        vec3 color = texture2D(u_frame, uv).rgb;
+        
+        vec3 filtered = u_matrix * color;
+        filtered *= u_darkness;
+        filtered = ((filtered - u_midpoint) * u_contrast) + u_midpoint;
+        
+        if (u_toneEnabled > 0.5) {
+            filtered = pow(clamp(filtered, 0.0, 1.0), 1.0 / u_gamma);
+            vec3 lookup = filtered * (255.0 / 256.0) + (0.5 / 256.0);
+            filtered = vec3(
+                texture2D(u_curves, vec2(lookup.r, 0.5)).r,
+                texture2D(u_curves, vec2(lookup.g, 0.5)).g,
+                texture2D(u_curves, vec2(lookup.b, 0.5)).b
+            );
+        }
+        
+        vec3 result = mix(color, filtered, raw ? 0.0 : u_intensity);
+        
+        vec4 aura = texture2D(u_aura, uv);
+        result = mix(result, aura.rgb, raw ? 0.0 : aura.a * u_auraAmount);
+        
+        result += (texture2D(u_afterimage, v_texCoord).rgb - 0.50196) * 2.0 * u_afterimageAmount;
+        
+        if (u_compareMode > 0.0 && abs(v_texCoord.x - u_divider) < u_dividerWidth) {
+            result = vec3(1.0);
+        }
+        
+        gl_FragColor = vec4(clamp(result, 0.0, 1.0), 1.0);
+    }
+`;
+
+const COMPARISON_MODES = ['off', 'split', 'wipe'];
+
+// Camera sheet options - 'auto' keeps the per-platform default resolution
+const CAMERA_RESOLUTIONS = [
+    { id: 'auto', label: 'Auto' },
+    { id: '480p', label: '640 × 480', width: 640, height: 480 },
+    { id: '720p', label: '1280 × 720', width: 1280, height: 720 },
+    { id: '1080p', label: '1920 × 1080', width: 1920, height: 1080 },
+    { id: '4k', label: '3840 × 2160', width: 3840, height: 2160 }
+];
+const CAMERA_FRAME_RATES = [0, 24, 30, 60];
+
+const DEFAULT_CAMERA_SETTINGS = {
+    deviceId: '',
+    resolution: 'auto',
+    frameRate: 0
+};
+
+// getUserMedia error names, including the older Chrome/Firefox spellings
+const CAMERA_ERROR_KINDS = {
+    NotAllowedError: 'denied',
+    PermissionDeniedError: 'denied',
+    SecurityError: 'denied',
+    NotFoundError: 'missing',
+    DevicesNotFoundError: 'missing',
+    NotReadableError: 'busy',
+    TrackStartError: 'busy',
+    OverconstrainedError: 'constraints',
+    ConstraintNotSatisfiedError: 'constraints'
+};
+
+// Recording length choices, in seconds
+const RECORDING_DURATIONS = [15, 30, 60, 120, 300];
+
+const DEFAULT_RECORDING_SETTINGS = {
+    maxDuration: 30,
+    microphone: false
+};
+
+// Stop every track of a stream that may be null
+function stopMediaStream(stream) {
+    if (stream) stream.getTracks().forEach(track => track.stop());
+}
+
+// GIF / WebP loop export - output widths and frame rates
+const LOOP_WIDTHS = [240, 320, 480, 640];
+const LOOP_FRAME_RATES = [5, 10, 15, 20];
+const LOOP_DEFAULT_LENGTH = 5; // seconds selected when the trim opens
+
+const DEFAULT_LOOP_SETTINGS = {
+    format: 'gif',
+    width: 320,
+    frameRate: 10,
+    palette: 'medium'
+};
+
+// Performance governor - processing scale steps, checked once per window.
+// Falling behind steps the scale down (then skips frames); sustained
+// headroom steps back up. Headroom is measured against the display's own
+// frame interval (the best tick of the last few windows), so 30 Hz and
+// throttled screens can recover too.
+const RENDER_SCALE_STEPS = [1, 0.75, 0.5, 0.35];
+const QUALITY_SCALES = { full: 1, medium: 0.75, low: 0.5 };
+const GOVERNOR_WINDOW_MS = 1000;
+const GOVERNOR_SLOW_TICK_MS = 40;
+const GOVERNOR_SLOW_WORK_MS = 30;
+const GOVERNOR_FAST_TICK_RATIO = 1.25;
+const GOVERNOR_DISPLAY_WINDOWS = 5;
+const GOVERNOR_FAST_WORK_MS = 12;
+const GOVERNOR_RECOVERY_WINDOWS = 3;
+const GOVERNOR_MAX_FRAME_SKIP = 2;
+
+const DEFAULT_PERFORMANCE_SETTINGS = {
+    quality: 'auto',
+    showStats: false
+};
+
+// Afterimage simulation - adaptation buffer resolution and build-up time
+const AFTERIMAGE_BUFFER_WIDTH = 160;
+const AFTERIMAGE_ADAPT_SECONDS = 5;
+
+/**
+ * Kilner's three auric formations, from the body outward.
+ * Widths are a percentage of frame width; alpha is the band's peak opacity.
+ */
+const AURA_BANDS = [
+    { id: 'etheric', name: 'Etheric Double', color: '#1e1248', width: 1, alpha: 0.75 },
+    { id: 'inner', name: 'Inner Aura', color: '#6b5bff', width: 4, alpha: 0.45 },
+    { id: 'outer', name: 'Outer Aura', color: '#c4b5fd', width: 8, alpha: 0.2 }
+];
+
+const AURA_BUFFER_WIDTH = 192;
+const AURA_LEARN_FRAMES = 30;          // frames of fast learning after a reset
+const AURA_BACKGROUND_RATE = 0.01;     // slow drift for lighting changes
+const AURA_FOREGROUND_THRESHOLD = 22;  // luma difference from background
+const AURA_EDGE_THRESHOLD = 90;        // Sobel magnitude counted as a strong edge
+
+// Scope - samples at the aura's analysis size, so on the WebGL path both
+// share one readback
+const SCOPE_INTERVAL_MS = 200;
+const SCOPE_HISTOGRAM_BINS = 64;
+const SCOPE_HEIGHT = 160;              // histograms on top, waveform below
+
+function getScopeSampleSize(sourceWidth, sourceHeight) {
+    const width = AURA_BUFFER_WIDTH;
+    return { width, height: Math.max(3, Math.round(width * sourceHeight / sourceWidth)) };
+}
+
+/**
+ * Per-channel histograms (SCOPE_HISTOGRAM_BINS each) and means of RGBA pixels
+ */
+function computeChannelStats(pixels) {
+    const histograms = [0, 1, 2].map(() => new Uint32Array(SCOPE_HISTOGRAM_BINS));
+    const sums = [0, 0, 0];
+    const shift = Math.log2(256 / SCOPE_HISTOGRAM_BINS);
+    
+    for (let i = 0; i < pixels.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            const value = pixels[i + c];
+            histograms[c][value >> shift]++;
+            sums[c] += value;
+        }
+    }
+    
+    const count = Math.max(1, pixels.length / 4);
+    return { histograms, means: sums.map(sum => sum / count) };
+}
+
+// Long exposure - raw frames are combined first, then filtered once, so
+// the screen's heavy darkening is applied to a clean frame instead of noise
+const STACK_FRAME_COUNTS = [8, 16, 32, 64];
+const STACK_MODES = {
+    mean: 'Mean (less noise)',
+    median: 'Median (removes passers-by)',
+    max: 'Light trails'
+};
+const STACK_MAX_WIDTH = 1920;
+const STACK_MEDIAN_MAX_WIDTH = 1280;   // median keeps every frame in memory
+const STACK_MEDIAN_MAX_FRAMES = 16;
+const STACK_FRAME_INTERVAL_MS = 33;    // when requestVideoFrameCallback is missing
+const STACK_ALIGN_WIDTH = 320;
+const STACK_ALIGN_RADIUS = 12;         // search range in STACK_ALIGN_WIDTH pixels
+
+const DEFAULT_STACK_SETTINGS = {
+    frames: 16,
+    mode: 'mean',
+    align: true
+};
+
+/**
+ * Block-averaged luma of RGBA pixels at targetWidth, for alignment
+ */
+function downsampleLuma(pixels, width, height, targetWidth) {
+    const scale = width / targetWidth;
+    const targetHeight = Math.max(1, Math.round(height / scale));
+    const luma = new Float32Array(targetWidth * targetHeight);
+    
+    for (let ty = 0; ty < targetHeight; ty++) {
+        const y0 = Math.floor(ty * scale);
+        const y1 = Math.max(y0 + 1, Math.min(height, Math.floor((ty + 1) * scale)));
+        for (let tx = 0; tx < targetWidth; tx++) {
+            const x0 = Math.floor(tx * scale);
+            const x1 = Math.max(x0 + 1, Math.min(width, Math.floor((tx + 1) * scale)));
+            let sum = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const i = (y * width + x) * 4;
+                    sum += pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114;
+                }
+            }
+            luma[ty * targetWidth + tx] = sum / ((y1 - y0) * (x1 - x0));
+        }
+    }
+    return { luma, width: targetWidth, height: targetHeight };
+}
+
+/**
+ * Translation (dx, dy) such that frame(x + dx, y + dy) best matches
+ * reference(x, y), by sum of absolute differences over the center -
+ * a coarse pass on every other pixel, then a full-resolution refinement
+ */
+function estimateFrameShift(reference, frame, width, height, radius) {
+    const sad = (dx, dy, step) => {
+        let total = 0;
+        for (let y = radius; y < height - radius; y += step) {
+            for (let x = radius; x < width - radius; x += step) {
+                total += Math.abs(reference[y * width + x] - frame[(y + dy) * width + x + dx]);
+            }
+        }
+        return total;
+    };
+    
+    let best = { dx: 0, dy: 0, error: sad(0, 0, 2) };
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            const error = sad(dx, dy, 2);
+            if (error < best.error) best = { dx, dy, error };
+        }
+    }
+    
+    const coarse = best;
+    best = { ...coarse, error: sad(coarse.dx, coarse.dy, 1) };
+    for (let dy = Math.max(-radius, coarse.dy - 1); dy <= Math.min(radius, coarse.dy + 1); dy++) {
+        for (let dx = Math.max(-radius, coarse.dx - 1); dx <= Math.min(radius, coarse.dx + 1); dx++) {
+            const error = sad(dx, dy, 1);
+            if (error < best.error) best = { dx, dy, error };
+        }
+    }
+    return { dx: best.dx, dy: best.dy };
+}
+
 class DicyaninViewer {
     constructor() {
         // DOM Elements
         this.video = document.getElementById('video');
         this.canvas = document.getElementById('canvas');
+        
+        // Renderer - WebGL when a hardware context is available, 2D canvas otherwise
+        this.gl = null;
+        this.glProgram = null;
+        this.glUniforms = null;
+        this.glTexture = null;
+        this.ctx = null;
+        this.initRenderer();
+        
+        // 2D fallback only - filtering runs in a worker when supported
+        this.filterWorker = null;
+        this.workerBusy = false;
+        this.workerResult = null;
+        
+        this.loadingScreen = document.getElementById('loading-screen');
+        this.viewer = document.getElementById('viewer');
+        this.errorScreen = document.getElementById('error-screen');
+        
+        this.intensitySlider = document.getElementById('intensity');
+        this.intensityValue = document.getElementById('intensity-value');
+        this.presetSelect = document.getElementById('preset-select');
+        this.presetCitation = document.getElementById('preset-citation');
+        this.loadCurveBtn = document.getElementById('load-curve-btn');
+        this.editFilterBtn = document.getElementById('edit-filter-btn');
+        this.curveFileInput = document.getElementById('curve-file-input');
+        this.flipBtn = document.getElementById('flip-btn');
+        this.captureBtn = document.getElementById('capture-btn');
+        this.recordBtn = document.getElementById('record-btn');
+        this.shareBtn = document.getElementById('share-btn');
+        
+        this.captureModal = document.getElementById('capture-modal');
+        this.captureCanvas = document.getElementById('capture-canvas');
+        this.captureCtx = this.captureCanvas.getContext('2d');
+        this.closeModalBtn = document.getElementById('close-modal');
+        this.downloadBtn = document.getElementById('download-btn');
+        this.shareCaptureBtn = document.getElementById('share-capture-btn');
+        
+        this.retryBtn = document.getElementById('retry-btn');
+        this.trialBar = document.getElementById('trial-bar');
+        this.trialProgress = document.getElementById('trial-progress');
+        this.trialAnswerBtn = document.getElementById('trial-answer-btn');
+        this.trialEndBtn = document.getElementById('trial-end-btn');
+        this.trialPanel = document.getElementById('trial-panel');
+        this.trialHeading = document.getElementById('trial-heading');
+        this.trialText = document.getElementById('trial-text');
+        this.trialAnswers = document.getElementById('trial-answers');
+        this.trialBeginBtn = document.getElementById('trial-begin-btn');
+        this.trialResults = document.getElementById('trial-results');
+        this.trialExportCsvBtn = document.getElementById('trial-export-csv-btn');
+        this.trialExportJsonBtn = document.getElementById('trial-export-json-btn');
+        this.trialDoneBtn = document.getElementById('trial-done-btn');
+        this.experimentTrialsInput = document.getElementById('experiment-trials');
+        this.experimentFilterInput = document.getElementById('experiment-filter');
+        this.experimentPresetInput = document.getElementById('experiment-preset');
+        this.experimentIntensityInput = document.getElementById('experiment-intensity');
+        this.experimentQuestionInput = document.getElementById('experiment-question');
+        this.experimentAnswerSelect = document.getElementById('experiment-answer');
+        this.experimentStartBtn = document.getElementById('experiment-start-btn');
+        this.errorTitle = document.getElementById('error-title');
+        this.errorMessage = document.getElementById('error-message');
+        this.errorSteps = document.getElementById('error-steps');
+        this.errorDetail = document.getElementById('error-detail');
+        this.errorHttpsLink = document.getElementById('error-https-link');
+        this.errorOpenFileBtn = document.getElementById('error-open-file-btn');
+        this.errorTestPatternBtn = document.getElementById('error-test-pattern-btn');
+        
+        // File import elements
+        this.openFileBtn = document.getElementById('open-file-btn');
+        this.mediaFileInput = document.getElementById('media-file-input');
+        this.sourceBar = document.getElementById('source-bar');
+        this.sourceName = document.getElementById('source-name');
+        this.exportVideoBtn = document.getElementById('export-video-btn');
+        this.backToCameraBtn = document.getElementById('back-to-camera-btn');
+        this.topBar = document.getElementById('top-bar');
+        this.infoBadge = this.topBar.querySelector('.info-badge');
+        
+        // Advanced filter editor elements
+        this.editorModal = document.getElementById('editor-modal');
+        this.closeEditorBtn = document.getElementById('close-editor');
+        this.editorMatrix = document.getElementById('editor-matrix');
+        this.editorSliders = document.getElementById('editor-sliders');
+        this.curveCanvas = document.getElementById('curve-canvas');
+        this.curveCtx = this.curveCanvas.getContext('2d');
+        this.curveTabs = document.querySelectorAll('.curve-tab');
+        this.curveResetBtn = document.getElementById('curve-reset-btn');
+        this.editorNameInput = document.getElementById('editor-name');
+        this.editorSaveBtn = document.getElementById('editor-save-btn');
+        this.editorExportBtn = document.getElementById('editor-export-btn');
+        this.editorImportBtn = document.getElementById('editor-import-btn');
+        this.editorDeleteBtn = document.getElementById('editor-delete-btn');
+        this.filterFileInput = document.getElementById('filter-file-input');
+        
+        // Offline update prompt
+        this.updateBanner = document.getElementById('update-banner');
+        this.updateReloadBtn = document.getElementById('update-reload-btn');
+        this.updateDismissBtn = document.getElementById('update-dismiss-btn');
+        this.waitingWorker = null;
+        
+        // Camera settings sheet elements
+        this.cameraBtn = document.getElementById('camera-btn');
+        this.cameraModal = document.getElementById('camera-modal');
+        this.closeCameraBtn = document.getElementById('close-camera');
+        this.cameraDeviceSelect = document.getElementById('camera-device');
+        this.cameraResolutionSelect = document.getElementById('camera-resolution');
+        this.cameraFrameRateSelect = document.getElementById('camera-framerate');
+        this.cameraActiveLabel = document.getElementById('camera-active');
+        this.cameraZoomRow = document.getElementById('camera-zoom-row');
+        this.cameraZoomInput = document.getElementById('camera-zoom');
+        this.cameraTorchRow = document.getElementById('camera-torch-row');
+        this.cameraTorchInput = document.getElementById('camera-torch');
+        this.cameraExposureRow = document.getElementById('camera-exposure-row');
+        this.cameraExposureInput = document.getElementById('camera-exposure');
+        this.cameraNoAdjustments = document.getElementById('camera-no-adjustments');
+        
+        // Settings panel elements
+        this.compareBtn = document.getElementById('compare-btn');
+        this.compareLabels = document.getElementById('compare-labels');
+        this.settingsBtn = document.getElementById('settings-btn');
+        this.settingsModal = document.getElementById('settings-modal');
+        this.closeSettingsBtn = document.getElementById('close-settings');
+        this.watermarkEnabledInput = document.getElementById('watermark-enabled');
+        this.watermarkCaptionInput = document.getElementById('watermark-caption');
+        this.watermarkPositionSelect = document.getElementById('watermark-position');
+        this.watermarkOpacityInput = document.getElementById('watermark-opacity');
+        this.watermarkTimestampInput = document.getElementById('watermark-timestamp');
+        this.watermarkPresetInput = document.getElementById('watermark-preset');
+        this.watermarkOptions = document.getElementById('watermark-options');
+        this.afterimageEnabledInput = document.getElementById('afterimage-enabled');
+        this.afterimageFadeInput = document.getElementById('afterimage-fade');
+        this.afterimageFadeValue = document.getElementById('afterimage-fade-value');
+        this.afterimageStrengthInput = document.getElementById('afterimage-strength');
+        this.afterimageOptions = document.getElementById('afterimage-options');
+        this.auraEnabledInput = document.getElementById('aura-enabled');
+        this.auraOptions = document.getElementById('aura-options');
+        this.auraBandsContainer = document.getElementById('aura-bands');
+        this.auraRelearnBtn = document.getElementById('aura-relearn-btn');
+        this.qualitySelect = document.getElementById('quality-select');
+        this.showStatsInput = document.getElementById('show-stats');
+        this.perfReadout = document.getElementById('perf-readout');
+        this.testPatternSelect = document.getElementById('test-pattern');
+        this.stackFramesSelect = document.getElementById('stack-frames');
+        this.stackModeSelect = document.getElementById('stack-mode');
+        this.stackAlignInput = document.getElementById('stack-align');
+        this.stackBtn = document.getElementById('stack-btn');
+        this.stackIndicator = document.getElementById('stack-indicator');
+        this.stackProgressText = document.getElementById('stack-progress-text');
+        this.stackProgressFill = document.getElementById('stack-progress-fill');
+        this.stackCancelBtn = document.getElementById('stack-cancel-btn');
+        this.shareModal = document.getElementById('share-modal');
+        this.closeShareBtn = document.getElementById('close-share');
+        this.shareLinkBtn = document.getElementById('share-link-btn');
+        this.shareInviteBtn = document.getElementById('share-invite-btn');
+        this.liveModal = document.getElementById('live-modal');
+        this.closeLiveBtn = document.getElementById('close-live');
+        this.liveStatus = document.getElementById('live-status');
+        this.liveQrCanvas = document.getElementById('live-qr');
+        this.liveInviteText = document.getElementById('live-invite');
+        this.liveCopyBtn = document.getElementById('live-copy-btn');
+        this.liveShareBtn = document.getElementById('live-share-btn');
+        this.liveNewBtn = document.getElementById('live-new-btn');
+        this.liveAnswerText = document.getElementById('live-answer');
+        this.liveConnectBtn = document.getElementById('live-connect-btn');
+        this.liveScanBtn = document.getElementById('live-scan-btn');
+        this.liveStopBtn = document.getElementById('live-stop-btn');
+        this.liveIndicator = document.getElementById('live-indicator');
+        this.liveViewerCount = document.getElementById('live-viewer-count');
+        this.watchScreen = document.getElementById('watch-screen');
+        this.watchVideo = document.getElementById('watch-video');
+        this.watchTitle = document.getElementById('watch-title');
+        this.watchMessage = document.getElementById('watch-message');
+        this.watchAnswer = document.getElementById('watch-answer');
+        this.watchQrCanvas = document.getElementById('watch-qr');
+        this.watchAnswerText = document.getElementById('watch-answer-text');
+        this.watchCopyBtn = document.getElementById('watch-copy-btn');
+        this.watchShareBtn = document.getElementById('watch-share-btn');
+        this.watchLeaveBtn = document.getElementById('watch-leave-btn');
+        this.scopePanel = document.getElementById('scope-panel');
+        this.scopeCanvas = document.getElementById('scope-canvas');
+        this.scopeCtx = this.scopeCanvas.getContext('2d');
+        this.scopeStats = document.getElementById('scope-stats');
+        this.showScopeInput = document.getElementById('show-scope');
+        this.shareStateInput = document.getElementById('share-state');
+        this.photoFormatSelect = document.getElementById('photo-format');
+        this.photoQualityInput = document.getElementById('photo-quality');
+        this.photoQualityValue = document.getElementById('photo-quality-value');
+        this.recordingLengthSelect = document.getElementById('recording-length');
+        this.recordMicrophoneInput = document.getElementById('record-microphone');
+        
+        // Recording compositor - the on-screen canvas stays watermark-free
+        this.recordCanvas = document.createElement('canvas');
+        this.recordCtx = this.recordCanvas.getContext('2d');
+        this.watermarkOverlay = document.createElement('canvas');
+        
+        // Recording elements
+        this.recordingIndicator = document.getElementById('recording-indicator');
+        this.recordingTime = document.getElementById('recording-time');
+        this.recordingSize = document.getElementById('recording-size');
+        this.pauseRecordBtn = document.getElementById('pause-record-btn');
+        
+        // Gallery elements
+        this.galleryBtn = document.getElementById('gallery-btn');
+        this.galleryModal = document.getElementById('gallery-modal');
+        this.closeGalleryBtn = document.getElementById('close-gallery');
+        this.galleryGrid = document.getElementById('gallery-grid');
+        this.galleryEmpty = document.getElementById('gallery-empty');
+        this.galleryQuotaFill = document.getElementById('gallery-quota-fill');
+        this.galleryQuotaText = document.getElementById('gallery-quota-text');
+        this.galleryDetail = document.getElementById('gallery-detail');
+        this.galleryPreview = document.getElementById('gallery-preview');
+        this.galleryMeta = document.getElementById('gallery-meta');
+        this.galleryBackBtn = document.getElementById('gallery-back-btn');
+        this.gallerySaveBtn = document.getElementById('gallery-save-btn');
+        this.galleryShareBtn = document.getElementById('gallery-share-btn');
+        this.galleryDeleteBtn = document.getElementById('gallery-delete-btn');
+        this.galleryActions = document.getElementById('gallery-actions');
+        this.galleryExportBtn = document.getElementById('gallery-export-btn');
+        this.galleryClearBtn = document.getElementById('gallery-clear-btn');
+        this.galleryRecords = [];
+        this.galleryUrls = [];
+        this.galleryItem = null;
+        
+        // Video preview modal elements
+        this.videoModal = document.getElementById('video-modal');
+        this.videoPreview = document.getElementById('video-preview');
+        this.closeVideoModalBtn = document.getElementById('close-video-modal');
+        this.downloadVideoBtn = document.getElementById('download-video-btn');
+        this.shareVideoBtn = document.getElementById('share-video-btn');
+        this.loopExport = document.getElementById('loop-export');
+        this.loopStartInput = document.getElementById('loop-start');
+        this.loopStartValue = document.getElementById('loop-start-value');
+        this.loopEndInput = document.getElementById('loop-end');
+        this.loopEndValue = document.getElementById('loop-end-value');
+        this.loopFormatSelect = document.getElementById('loop-format');
+        this.loopSizeSelect = document.getElementById('loop-size');
+        this.loopFrameRateSelect = document.getElementById('loop-frame-rate');
+        this.loopPaletteSelect = document.getElementById('loop-palette');
+        this.loopProgress = document.getElementById('loop-progress');
+        this.loopProgressFill = document.getElementById('loop-progress-fill');
+        this.loopProgressText = document.getElementById('loop-progress-text');
+        this.loopCancelBtn = document.getElementById('loop-cancel-btn');
+        this.loopExportBtn = document.getElementById('loop-export-btn');
+        this.loopResult = document.getElementById('loop-result');
+        this.loopResultText = document.getElementById('loop-result-text');
+        this.loopSaveBtn = document.getElementById('loop-save-btn');
+        this.loopShareBtn = document.getElementById('loop-share-btn');
+        
+        // State
+        this.stream = null;
+        this.videoTrack = null;
+        this.facingMode = 'environment';
+        this.cameraSettings = this.loadStoredSettings(STORAGE_KEYS.camera, DEFAULT_CAMERA_SETTINGS);
+        this.intensity = 0.85;
+        this.presetId = DEFAULT_PRESET_ID;
+        this.userPresets = [];
+        this.resolvedFilter = null;
+        this.filterLut = null;
+        
+        // Advanced editor - while open, the draft is what gets rendered
+        this.draftFilter = null;
+        this.curveChannel = 'r';
+        this.draggingCurvePoint = -1;
+        
+        this.isProcessing = false;
+        
+        // Performance governor
+        this.performanceSettings = this.loadStoredSettings(STORAGE_KEYS.performance, DEFAULT_PERFORMANCE_SETTINGS);
+        this.renderScale = QUALITY_SCALES[this.performanceSettings.quality] || 1;
+        this.frameSkip = 0;
+        this.frameCounter = 0;
+        this.headroomWindows = 0;
+        this.resetPerformanceStats();
+        this.animationId = null;
+        this.filterEnabled = true;
+        
+        // Comparison - 'off', 'split' (side by side) or 'wipe' (draggable line)
+        this.comparisonMode = 'off';
+        this.wipePosition = 0.5;
+        this.isDraggingWipe = false;
+        
+        // Afterimage simulation - retinal fatigue built up while looking
+        // through the screen, replayed as a fading negative when it's removed
+        this.afterimageEnabled = false;
+        this.afterimageFadeSeconds = 8;
+        this.afterimageStrength = 0.6;
+        this.fatigue = null;
+        this.afterimageOffset = null;
+        this.afterimageActive = false;
+        this.lastAfterimageTime = 0;
+        
+        // Aura overlay - glow bands around subjects found by background
+        // subtraction and Sobel edges, drawn after the filter
+        this.auraEnabled = false;
+        this.auraBands = AURA_BANDS.map(band => ({ ...band }));
+        this.auraBackground = null;
+        this.auraLearnFrames = 0;
+        this.auraCanvas = document.createElement('canvas');
+        this.auraCtx = this.auraCanvas.getContext('2d');
+        this.auraActive = false;
+        
+        // Low-res canvases for per-frame analysis (afterimage, overlays, scope),
+        // one per source so the live view and the camera frame don't share
+        this.analysisSamplers = new WeakMap();
+        this.frameTime = 0;
+        
+        // Long exposure - null unless a stack is being captured
+        this.stackSettings = this.loadStoredSettings(STORAGE_KEYS.stack, DEFAULT_STACK_SETTINGS);
+        this.stack = null;
+        this.stackCanvas = document.createElement('canvas');
+        this.stackCtx = this.stackCanvas.getContext('2d', { willReadFrequently: true });
+        
+        // Scope - live histograms, waveform and transmission ratios
+        this.scopeSettings = this.loadStoredSettings(STORAGE_KEYS.scope, { enabled: false });
+        this.lastScopeTime = 0;
+        
+        // Input source - 'camera', an imported 'image' / 'video' file, or
+        // a synthetic test 'pattern'
+        this.sourceType = 'camera';
+        this.testPattern = null;
+        this.sourceImage = null;
+        this.importedFileUrl = null;
+        this.isExportingVideo = false;
+        
+        // Watermark template - applies to every output path
+        this.watermarkSettings = { ...DEFAULT_WATERMARK_SETTINGS };
+        
+        // Recording state
+        this.isRecording = false;
+        this.mediaRecorder = null;
+        this.recordedChunks = [];
+        this.recordingStartTime = null;
+        this.recordingTimerInterval = null;
+        this.recordingSettings = this.loadStoredSettings(STORAGE_KEYS.recording, DEFAULT_RECORDING_SETTINGS);
+        this.maxRecordingDuration = this.recordingSettings.maxDuration * 1000;
+        this.recordingLimit = this.maxRecordingDuration;
+        this.recordingStopTimeout = null;
+        this.isRecordingPaused = false;
+        this.recordingPausedAt = null;
+        this.recordingPausedTotal = 0;
+        this.recordingMimeType = null;
+        this.recordingDuration = 0;
+        // Set while the microphone prompt is open, before isRecording
+        this.isStartingRecording = false;
+        this.microphoneStream = null;
+        this.loopSettings = this.loadStoredSettings(STORAGE_KEYS.loop, DEFAULT_LOOP_SETTINGS);
+        this.loopJob = null;
+        this.loopBlob = null;
+        
+        // Blind trials - null unless an experiment is running
+        this.experimentSettings = this.loadStoredSettings(STORAGE_KEYS.experiment, DEFAULT_EXPERIMENT_SETTINGS);
+        this.experiment = null;
+        this.recordedBlob = null;
+        
+        // Live view - peers watching this device, the invite waiting for
+        // an answer, and the broadcast this device watches
+        this.liveStream = null;
+        this.livePeers = [];
+        this.liveInvite = null;
+        this.answerScanner = null;
+        this.watchConnection = null;
+        
+        // Store blobs
+        this.currentImageBlob = null;
+        this.captureMetadata = null;
+        this.captureToken = 0;
+        this.photoSettings = this.loadStoredSettings(STORAGE_KEYS.photo, DEFAULT_PHOTO_SETTINGS);
+        this.currentVideoUrl = null;
+        
+        // App URL for sharing - wherever this copy is hosted
+        this.appUrl = location.protocol.startsWith('http')
+            ? `${location.origin}${location.pathname}`
+            : 'https://ghost081280.github.io/dicyanin-viewer/';
+        this.sharingSettings = this.loadStoredSettings(STORAGE_KEYS.sharing, { includeState: true });
+        this.viewerStateReady = false;
+        
+        // Platform detection
+        this.isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
+        this.isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
+        this.isAndroid = /Android/.test(navigator.userAgent);
+        this.isFirefox = /firefox|fxios/i.test(navigator.userAgent);
+        
+        // Toast element
+        this.toast = null;
+        this.createToast();
+        
+        // Bind methods
+        this.processFrame = this.processFrame.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        
+        // Initialize
+        this.init();
+    }
+    
+    createToast() {
+        this.toast = document.createElement('div');
+        this.toast.className = 'toast';
+        this.toast.innerHTML = `
+            <div class="toast-icon">✓</div>
+            <div class="toast-message"></div>
+        `;
+        document.body.appendChild(this.toast);
+    }
+    
+    showToast(message, type = 'success') {
+        const icon = this.toast.querySelector('.toast-icon');
+        const msg = this.toast.querySelector('.toast-message');
+        
+        msg.textContent = message;
+        
+        if (type === 'success') {
+            icon.textContent = '✓';
+            icon.style.background = 'var(--success, #10b981)';
+        } else if (type === 'info') {
+            icon.textContent = 'ℹ';
+            icon.style.background = 'var(--primary, #4a3aff)';
+        }
+        
+        this.toast.classList.add('show');
+        
+        setTimeout(() => {
+            this.toast.classList.remove('show');
+        }, 3000);
+    }
+    
+    async init() {
+        // ?pattern=bars starts on a test pattern (read before a share link is cleared)
+        const pattern = new URLSearchParams(location.search).get('pattern')
+            || new URLSearchParams(location.hash.slice(1)).get('pattern');
+        this.loadCustomFilters();
+        this.populatePresets();
+        this.restoreViewerState();
+        if (!this.gl) this.initFilterWorker();
+        this.bindEvents();
+        this.registerServiceWorker();
+        
+        // An invite link opens straight into watch mode - no camera needed
+        const invite = new URLSearchParams(location.hash.slice(1)).get(LIVE_INVITE_PARAM);
+        if (invite) {
+            history.replaceState(null, '', location.pathname);
+            this.openWatch(invite);
+        } else if (TEST_PATTERNS[pattern]) {
+            this.startTestPattern(pattern);
+        } else {
+            await this.startCamera();
+        }
+        window.addEventListener('resize', this.handleResize);
+    }
+    
+    bindEvents() {
+        this.intensitySlider.addEventListener('input', (e) => {
+            this.intensity = e.target.value / 100;
+            this.intensityValue.textContent = `${e.target.value}%`;
+            this.persistViewerState();
+        });
+        
+        this.presetSelect.addEventListener('change', (e) => {
+            this.setPreset(e.target.value);
+        });
+        this.loadCurveBtn.addEventListener('click', () => this.curveFileInput.click());
+        this.editFilterBtn.addEventListener('click', () => this.openFilterEditor());
+        this.bindFilterEditor();
+        this.curveFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadTransmissionCurve(file);
+        });
+        
+        this.flipBtn.addEventListener('click', () => this.flipCamera());
+        this.cameraBtn.addEventListener('click', () => this.openCameraSettings());
+        this.bindCameraSettings();
+        this.bindStackSettings();
+        this.captureBtn.addEventListener('click', () => this.captureImage());
+        this.recordBtn.addEventListener('click', () => this.toggleRecording());
+        this.pauseRecordBtn.addEventListener('click', () => this.togglePauseRecording());
+        this.shareBtn.addEventListener('click', () => this.openShareSheet());
+        this.bindLiveView();
+        
+        this.closeModalBtn.addEventListener('click', () => this.closeModal());
+        this.downloadBtn.addEventListener('click', () => this.saveImage());
+        this.shareCaptureBtn.addEventListener('click', () => this.shareImage());
+        
+        // Video modal events
+        this.closeVideoModalBtn.addEventListener('click', () => this.closeVideoModal());
+        this.downloadVideoBtn.addEventListener('click', () => this.saveVideo());
+        this.shareVideoBtn.addEventListener('click', () => this.shareVideo());
+        this.bindLoopExport();
+        
+        // Gallery events
+        this.galleryBtn.addEventListener('click', () => this.openGallery());
+        this.closeGalleryBtn.addEventListener('click', () => this.closeGallery());
+        this.galleryModal.addEventListener('click', (e) => {
+            if (e.target === this.galleryModal) this.closeGallery();
+        });
+        this.galleryBackBtn.addEventListener('click', () => this.showGalleryGrid());
+        this.gallerySaveBtn.addEventListener('click', () => this.saveGalleryItem());
+        this.galleryShareBtn.addEventListener('click', () => this.shareGalleryItem());
+        this.galleryDeleteBtn.addEventListener('click', () => this.deleteGalleryItem());
+        this.galleryExportBtn.addEventListener('click', () => this.exportGallery());
+        this.galleryClearBtn.addEventListener('click', () => this.clearGallery());
+        
+        this.retryBtn.addEventListener('click', () => this.startCamera());
+        
+        this.updateReloadBtn.addEventListener('click', () => this.applyUpdate());
+        this.updateDismissBtn.addEventListener('click', () => this.updateBanner.classList.add('hidden'));
+        
+        // Settings panel
+        this.settingsBtn.addEventListener('click', () => this.openSettings());
+        this.closeSettingsBtn.addEventListener('click', () => this.closeSettings());
+        this.settingsModal.addEventListener('click', (e) => {
+            if (e.target === this.settingsModal) this.closeSettings();
+        });
+        this.bindWatermarkSettings();
+        this.bindAfterimageSettings();
+        this.bindAuraSettings();
+        this.bindPerformanceSettings();
+        this.bindPhotoSettings();
+        this.bindRecordingSettings();
+        this.bindExperiment();
+        this.bindScopeSettings();
+        this.shareStateInput.addEventListener('change', (e) => {
+            this.sharingSettings.includeState = e.target.checked;
+            this.saveStoredSettings(STORAGE_KEYS.sharing, this.sharingSettings);
+        });
+        
+        // File import
+        this.openFileBtn.addEventListener('click', () => this.mediaFileInput.click());
+        this.errorOpenFileBtn.addEventListener('click', () => this.mediaFileInput.click());
+        this.errorTestPatternBtn.addEventListener('click', () => this.startTestPattern('bars'));
+        this.mediaFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.openMediaFile(file);
+        });
+        this.exportVideoBtn.addEventListener('click', () => this.exportImportedVideo());
+        this.backToCameraBtn.addEventListener('click', () => this.returnToCamera());
+        
+        // Tap canvas to toggle filter
+        this.canvas.addEventListener('click', () => {
+            // In comparison mode taps drag the wipe line instead; in
+            // blind trials the observer mustn't change the condition
+            if (this.comparisonMode === 'off' && !this.experiment) this.toggleFilter();
+        });
+        
+        // Comparison mode
+        this.compareBtn.addEventListener('click', () => this.cycleComparisonMode());
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (this.comparisonMode !== 'wipe') return;
+            this.isDraggingWipe = true;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.updateWipePosition(e.clientX);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.isDraggingWipe) this.updateWipePosition(e.clientX);
+        });
+        const endWipeDrag = () => { this.isDraggingWipe = false; };
+        this.canvas.addEventListener('pointerup', endWipeDrag);
+        this.canvas.addEventListener('pointercancel', endWipeDrag);
+        
+        // Close modals on backdrop click
+        this.captureModal.addEventListener('click', (e) => {
+            if (e.target === this.captureModal) this.closeModal();
+        });
+        this.videoModal.addEventListener('click', (e) => {
+            if (e.target === this.videoModal) this.closeVideoModal();
+        });
+    }
+    
+    async startCamera() {
+        try {
+            this.stopCameraStream();
+            this.releaseImportedFile();
+            
+            // Camera access only exists on HTTPS (or localhost)
+            if (!window.isSecureContext || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                this.showError({ name: window.isSecureContext ? 'NotSupportedError' : 'InsecureContextError' });
+                return;
+            }
+            
+            this.stream = await this.openCameraStream();
+            
+            this.videoTrack = this.stream.getVideoTracks()[0] || null;
+            this.video.srcObject = this.stream;
+            
+            this.video.onloadedmetadata = () => {
+                this.video.play();
+                this.handleResize();
+                this.showViewer();
+                this.startProcessing();
+                if (!this.cameraModal.classList.contains('hidden')) {
+                    this.syncCameraControls();
+                }
+            };
+            
+        } catch (error) {
+            console.error('Camera error:', error);
+            this.showError(error);
+        }
+    }
+    
+    /**
+     * getUserMedia with the saved camera settings, relaxing them step by
+     * step when the device can't satisfy them: a remembered lens may be
+     * gone (USB camera unplugged), or a chosen resolution/frame rate
+     * unsupported. Other errors are thrown for showError to explain.
+     */
+    async openCameraStream() {
+        const attempts = [
+            () => this.getCameraConstraints(),
+            () => {
+                this.cameraSettings.deviceId = '';
+                this.saveStoredSettings(STORAGE_KEYS.camera, this.cameraSettings);
+                return this.getCameraConstraints();
+            },
+            () => ({ facingMode: this.facingMode }),
+            () => true
+        ];
+        
+        for (let i = 0; i < attempts.length; i++) {
+            try {
+                const stream = await navigator.mediaDevices.getUserMedia({ video: attempts[i](), audio: false });
+                if (i > 1) {
+                    this.showToast('Camera settings not supported - using the camera defaults', 'info');
+                }
+                return stream;
+            } catch (error) {
+                const kind = CAMERA_ERROR_KINDS[error.name];
+                // A missing device only warrants a retry while a specific lens was asked for
+                const relaxable = kind === 'constraints' ||
+                    (kind === 'missing' && i === 0 && this.cameraSettings.deviceId);
+                if (!relaxable || i === attempts.length - 1) throw error;
+                // Nothing to forget when no lens was remembered
+                if (i === 0 && !this.cameraSettings.deviceId) i++;
+            }
+        }
+    }
+    
+    stopCameraStream() {
+        this.stopTestPattern();
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+            this.videoTrack = null;
+        }
+    }
+    
+    /**
+     * The element frames are drawn from - the <video> for camera and
+     * imported videos, an <img> for imported photos
+     */
+    getFrameSource() {
+        return this.sourceType === 'image' ? this.sourceImage : this.video;
+    }
+    
+    getSourceSize() {
+        if (this.sourceType === 'image') {
+            return { width: this.sourceImage.naturalWidth, height: this.sourceImage.naturalHeight };
+        }
+        return { width: this.video.videoWidth, height: this.video.videoHeight };
+    }
+    
+    handleResize() {
+        const { width, height } = this.getSourceSize();
+        // Split comparison shows raw and filtered frames side by side
+        const columns = this.comparisonMode === 'split' ? 2 : 1;
+        this.canvas.width = Math.round((width || 1280) * this.renderScale) * columns;
+        this.canvas.height = Math.round((height || 720) * this.renderScale);
+        
+        if (this.gl) {
+            this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        }
+    }
+    
+    showViewer() {
+        this.loadingScreen.classList.add('hidden');
+        this.errorScreen.classList.add('hidden');
+        this.viewer.classList.remove('hidden');
+    }
+    
+    /**
+     * Explain a camera failure - what went wrong and what to do next
+     */
+    showError(error = {}) {
+        const { title, message, steps = [], canRetry = true } = this.describeCameraError(error);
+        
+        this.errorTitle.textContent = title;
+        this.errorMessage.textContent = message;
+        this.errorSteps.replaceChildren(...steps.map(step => {
+            const item = document.createElement('li');
+            item.textContent = step;
+            return item;
+        }));
+        this.errorSteps.classList.toggle('hidden', steps.length === 0);
+        this.errorDetail.textContent = error.name ? `${error.name}${error.message ? `: ${error.message}` : ''}` : '';
+        this.retryBtn.classList.toggle('hidden', !canRetry);
+        
+        // The same page over HTTPS, when served over plain HTTP
+        const insecure = error.name === 'InsecureContextError' && location.protocol === 'http:';
+        this.errorHttpsLink.classList.toggle('hidden', !insecure);
+        if (insecure) {
+            this.errorHttpsLink.href = `https://${location.host}${location.pathname}${location.search}${location.hash}`;
+        }
+        
+        this.loadingScreen.classList.add('hidden');
+        this.viewer.classList.add('hidden');
+        this.errorScreen.classList.remove('hidden');
+    }
+    
+    describeCameraError(error) {
+        if (error.name === 'InsecureContextError') {
+            return {
+                title: 'Secure Connection Required',
+                message: 'Browsers only allow camera access on pages served over HTTPS (or from localhost). This page was opened over an insecure connection.',
+                steps: location.protocol === 'file:'
+                    ? ['Serve the folder with a local web server, e.g. python3 -m http.server, then open http://localhost:8000']
+                    : ['Open the HTTPS version of this page', 'If you host your own copy, enable HTTPS on the server'],
+                canRetry: false
+            };
+        }
+        if (error.name === 'NotSupportedError') {
+            return {
+                title: 'Camera Not Supported',
+                message: 'This browser has no camera access for web pages. Try a current version of Chrome, Safari, Firefox or Edge.',
+                canRetry: false
+            };
+        }
+        
+        switch (CAMERA_ERROR_KINDS[error.name]) {
+            case 'denied':
+                return {
+                    title: 'Camera Permission Denied',
+                    message: 'Camera access was blocked for this site. Allow it in your browser, then try again.',
+                    steps: this.getPermissionSteps()
+                };
+            case 'missing':
+                return {
+                    title: 'No Camera Found',
+                    message: 'No camera is connected to this device, or it is disabled.',
+                    steps: ['Connect a camera, or enable it in your system settings', 'You can still filter a photo or video from your device']
+                };
+            case 'busy':
+                return {
+                    title: 'Camera In Use',
+                    message: 'The camera is being used by another app or browser tab, or could not be started.',
+                    steps: ['Close video calls, other camera apps and other tabs using the camera', 'Then tap Try Again']
+                };
+            case 'constraints':
+                return {
+                    title: 'Camera Settings Not Supported',
+                    message: 'Your camera could not start with any supported resolution or frame rate.',
+                    steps: ['Reset the resolution and frame rate to Auto in the camera settings', 'Try a different camera']
+                };
+            default:
+                return {
+                    title: 'Camera Unavailable',
+                    message: 'The camera could not be started.',
+                    steps: ['Check that no other app is using the camera', 'Reload the page and allow camera access']
+                };
+        }
+    }
+    
+    /**
+     * Where to re-allow the camera in this browser
+     */
+    getPermissionSteps() {
+        if (this.isIOS) {
+            return [
+                'Open the Settings app, scroll down to your browser (e.g. Safari) and set Camera to Allow',
+                'In Safari you can also tap the aA button in the address bar → Website Settings → Camera → Allow'
+            ];
+        }
+        if (this.isAndroid) {
+            return [
+                'Tap the icon to the left of the address bar → Permissions → Camera → Allow',
+                'If it is still blocked, open Android Settings → Apps → your browser → Permissions → Camera'
+            ];
+        }
+        if (this.isFirefox) {
+            return [
+                'Click the crossed-out camera icon in the address bar',
+                'Remove the Blocked Temporarily or Blocked permission, then try again'
+            ];
+        }
+        if (this.isSafari) {
+            return [
+                'Open Safari → Settings for This Website (or Settings → Websites → Camera)',
+                'Set Camera to Allow for this site'
+            ];
+        }
+        return [
+            'Click the camera or site settings icon at the left of the address bar',
+            'Set Camera to Allow, then try again',
+            'On macOS, also check System Settings → Privacy & Security → Camera for your browser'
+        ];
+    }
+    
+    startProcessing() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+        this.resetPerformanceStats();
+        this.processFrame();
+    }
+    
+    stopProcessing() {
+        this.isProcessing = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+    }
+    
+    // ==================== CAMERA SETTINGS ====================
+    
+    loadStoredSettings(key, defaults) {
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(key) || '{}') };
+        } catch (error) {
+            return { ...defaults };
+        }
+    }
+    
+    saveStoredSettings(key, settings) {
+        try {
+            localStorage.setItem(key, JSON.stringify(settings));
+        } catch (error) {
+            console.warn(`Could not save ${key}:`, error);
+        }
+    }
+    
+    /**
+     * getUserMedia video constraints from the saved camera settings
+     */
+    getCameraConstraints() {
+        const { deviceId, resolution, frameRate } = this.cameraSettings;
+        const size = CAMERA_RESOLUTIONS.find(option => option.id === resolution && option.width);
+        
+        // Auto uses lower resolution on mobile for better performance
+        const isMobile = this.isIOS || this.isAndroid;
+        const video = {
+            width: { ideal: size ? size.width : (isMobile ? 1280 : 1920) },
+            height: { ideal: size ? size.height : (isMobile ? 720 : 1080) }
+        };
+        
+        if (deviceId) {
+            video.deviceId = { exact: deviceId };
+        } else {
+            video.facingMode = this.facingMode;
+        }
+        if (frameRate) {
+            video.frameRate = { ideal: frameRate };
+        }
+        return video;
+    }
+    
+    bindCameraSettings() {
+        CAMERA_RESOLUTIONS.forEach(option => {
+            this.cameraResolutionSelect.add(new Option(option.label, option.id));
+        });
+        CAMERA_FRAME_RATES.forEach(rate => {
+            this.cameraFrameRateSelect.add(new Option(rate ? `${rate} fps` : 'Auto', rate));
+        });
+        
+        const restart = () => {
+            this.cameraSettings = {
+                deviceId: this.cameraDeviceSelect.value,
+                resolution: this.cameraResolutionSelect.value,
+                frameRate: Number(this.cameraFrameRateSelect.value)
+            };
+            this.saveStoredSettings(STORAGE_KEYS.camera, this.cameraSettings);
+            if (this.sourceType === 'camera') {
+                this.startCamera();
+            } else {
+                this.returnToCamera();
+            }
+        };
+        this.cameraDeviceSelect.addEventListener('change', restart);
+        this.cameraResolutionSelect.addEventListener('change', restart);
+        this.cameraFrameRateSelect.addEventListener('change', restart);
+        
+        this.testPatternSelect.add(new Option('Off - use the camera', ''));
+        Object.entries(TEST_PATTERNS).forEach(([id, pattern]) => {
+            this.testPatternSelect.add(new Option(pattern.label, id));
+        });
+        this.testPatternSelect.addEventListener('change', () => {
+            const id = this.testPatternSelect.value;
+            if (id) {
+                this.startTestPattern(id);
+            } else {
+                this.returnToCamera();
+            }
+        });
+        
+        this.cameraZoomInput.addEventListener('input', () => {
+            this.applyCameraConstraint('zoom', Number(this.cameraZoomInput.value));
+            this.updateCameraValueLabels();
+        });
+        this.cameraTorchInput.addEventListener('change', () => {
+            this.applyCameraConstraint('torch', this.cameraTorchInput.checked);
+        });
+        this.cameraExposureInput.addEventListener('input', () => {
+            this.applyCameraConstraint('exposureCompensation', Number(this.cameraExposureInput.value));
+            this.updateCameraValueLabels();
+        });
+        
+        this.closeCameraBtn.addEventListener('click', () => this.closeCameraSettings());
+        
+        // External cameras can come and go while the sheet is open
+        if (navigator.mediaDevices && 'ondevicechange' in navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', () => {
+                if (!this.cameraModal.classList.contains('hidden')) this.refreshCameraDevices();
+            });
+        }
+    }
+    
+    async openCameraSettings() {
+        await this.refreshCameraDevices();
+        this.syncCameraControls();
+        this.cameraModal.classList.remove('hidden');
+    }
+    
+    closeCameraSettings() {
+        this.cameraModal.classList.add('hidden');
+    }
+    
+    /**
+     * List every video input - labels are only filled in once camera
+     * permission has been granted
+     */
+    async refreshCameraDevices() {
+        let devices = [];
+        try {
+            devices = (await navigator.mediaDevices.enumerateDevices())
+                .filter(device => device.kind === 'videoinput');
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+        }
+        
+        const select = this.cameraDeviceSelect;
+        select.innerHTML = '';
+        select.add(new Option(`Default (${this.facingMode === 'environment' ? 'rear' : 'front'})`, ''));
+        devices.forEach((device, index) => {
+            select.add(new Option(device.label || `Camera ${index + 1}`, device.deviceId));
+        });
+        
+        const saved = this.cameraSettings.deviceId;
+        select.value = devices.some(device => device.deviceId === saved) ? saved : '';
+    }
+    
+    syncCameraControls() {
+        this.cameraResolutionSelect.value = this.cameraSettings.resolution;
+        this.cameraFrameRateSelect.value = this.cameraSettings.frameRate;
+        this.testPatternSelect.value = this.testPattern ? this.testPattern.id : '';
+        
+        const track = this.sourceType === 'camera' ? this.videoTrack : null;
+        const settings = track ? track.getSettings() : {};
+        const capabilities = track && track.getCapabilities ? track.getCapabilities() : {};
+        
+        if (track) {
+            const rate = settings.frameRate ? ` @ ${Math.round(settings.frameRate)} fps` : '';
+            this.cameraActiveLabel.textContent = `Active: ${settings.width} × ${settings.height}${rate}`;
+        } else {
+            this.cameraActiveLabel.textContent = 'Camera is not active - changing a setting switches back to it.';
+        }
+        
+        const hasZoom = this.configureCameraRange(this.cameraZoomRow, this.cameraZoomInput, capabilities.zoom, settings.zoom);
+        const hasExposure = this.configureCameraRange(
+            this.cameraExposureRow, this.cameraExposureInput,
+            capabilities.exposureCompensation, settings.exposureCompensation
+        );
+        const hasTorch = capabilities.torch === true ||
+            (Array.isArray(capabilities.torch) && capabilities.torch.includes(true));
+        
+        this.cameraTorchRow.classList.toggle('hidden', !hasTorch);
+        this.cameraTorchInput.checked = !!settings.torch;
+        this.cameraNoAdjustments.classList.toggle('hidden', hasZoom || hasExposure || hasTorch);
+        this.updateCameraValueLabels();
+    }
+    
+    /**
+     * Show a range row only when the track reports a usable range for it
+     */
+    configureCameraRange(row, input, range, value) {
+        const supported = !!range && range.max > range.min;
+        row.classList.toggle('hidden', !supported);
+        if (!supported) return false;
+        
+        input.min = range.min;
+        input.max = range.max;
+        input.step = range.step || 0.1;
+        input.value = value !== undefined ? value : range.min;
+        return true;
+    }
+    
+    updateCameraValueLabels() {
+        const exposure = Number(this.cameraExposureInput.value);
+        this.cameraZoomRow.querySelector('.setting-value').textContent =
+            `${Number(this.cameraZoomInput.value).toFixed(1)}×`;
+        this.cameraExposureRow.querySelector('.setting-value').textContent =
+            `${exposure > 0 ? '+' : ''}${exposure.toFixed(1)} EV`;
+    }
+    
+    applyCameraConstraint(name, value) {
+        if (!this.videoTrack) return;
+        
+        this.videoTrack.applyConstraints({ advanced: [{ [name]: value }] }).catch(error => {
+            console.warn(`Could not set ${name}:`, error);
+            this.syncCameraControls();
+        });
+    }
+    
+    // ==================== RENDERER ====================
+    
+    initRenderer() {
+        if (this.initWebGL()) return;
+        
+        this.gl = null;
         this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+    
+    /**
+     * WebGL is only used with a hardware context. Software rasterizers
+     * (SwiftShader, llvmpipe - e.g. headless Linux) are slower than the
+     * plain 2D loop, so they fall back too.
+     * 
+     * The check runs on a throwaway canvas: once a canvas hands out a
+     * WebGL context it can never give a 2D one.
+     */
+    initWebGL() {
+        if (!this.hasHardwareWebGL()) return false;
+        
+        const gl = this.canvas.getContext('webgl', {
+            alpha: false,
+            antialias: false,
+            depth: false,
+            // captureImage copies the canvas outside the frame callback
+            preserveDrawingBuffer: true
+        });
+        if (!gl) return false;
+        
+        this.gl = gl;
+        if (!this.setupWebGLResources()) {
+            // This canvas is now locked to WebGL - swap in a fresh one for 2D
+            const freshCanvas = this.canvas.cloneNode(false);
+            this.canvas.replaceWith(freshCanvas);
+            this.canvas = freshCanvas;
+            return false;
+        }
+        
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.glProgram = null;
+        });
+        this.canvas.addEventListener('webglcontextrestored', () => {
+            this.setupWebGLResources();
+            this.handleResize();
+        });
+        
+        return true;
+    }
+    
+    hasHardwareWebGL() {
+        try {
+            const probe = document.createElement('canvas');
+            const gl = probe.getContext('webgl', { failIfMajorPerformanceCaveat: true });
+            if (!gl) return false;
+            
+            const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+            const renderer = debugInfo
+                ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL)
+                : gl.getParameter(gl.RENDERER);
+            
+            const loseContext = gl.getExtension('WEBGL_lose_context');
+            if (loseContext) loseContext.loseContext();
+            
+            return !/swiftshader|llvmpipe|softpipe|software|basic render/i.test(renderer || '');
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    setupWebGLResources() {
+        const gl = this.gl;
+        
+        const vertexShader = this.compileShader(gl.VERTEX_SHADER, FILTER_VERTEX_SHADER);
+        const fragmentShader = this.compileShader(gl.FRAGMENT_SHADER, FILTER_FRAGMENT_SHADER);
+        if (!vertexShader || !fragmentShader) return false;
+        
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            console.error('Shader link error:', gl.getProgramInfoLog(program));
+            return false;
+        }
+        gl.useProgram(program);
+        
+        // Full-screen quad
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        const positionLocation = gl.getAttribLocation(program, 'a_position');
+        gl.enableVertexAttribArray(positionLocation);
+        gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
+        
+        // Afterimage offsets on unit 1, starting neutral (128 = no offset)
+        gl.activeTexture(gl.TEXTURE1);
+        this.glAfterimageTexture = this.createGLTexture();
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([128, 128, 128, 255]));
+        
+        // Aura overlay on unit 2, starting transparent
+        gl.activeTexture(gl.TEXTURE2);
+        this.glAuraTexture = this.createGLTexture();
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([0, 0, 0, 0]));
+        
+        // Tone curves on unit 3
+        gl.activeTexture(gl.TEXTURE3);
+        this.glCurvesTexture = this.createGLTexture();
+        
+        // Video frames on unit 0
+        gl.activeTexture(gl.TEXTURE0);
+        this.glTexture = this.createGLTexture();
+        
+        this.glUniforms = {
+            frame: gl.getUniformLocation(program, 'u_frame'),
+            intensity: gl.getUniformLocation(program, 'u_intensity'),
+            matrix: gl.getUniformLocation(program, 'u_matrix'),
+            darkness: gl.getUniformLocation(program, 'u_darkness'),
+            contrast: gl.getUniformLocation(program, 'u_contrast'),
+            midpoint: gl.getUniformLocation(program, 'u_midpoint'),
+            toneEnabled: gl.getUniformLocation(program, 'u_toneEnabled'),
+            gamma: gl.getUniformLocation(program, 'u_gamma'),
+            curves: gl.getUniformLocation(program, 'u_curves'),
+            compareMode: gl.getUniformLocation(program, 'u_compareMode'),
+            divider: gl.getUniformLocation(program, 'u_divider'),
+            dividerWidth: gl.getUniformLocation(program, 'u_dividerWidth'),
+            afterimage: gl.getUniformLocation(program, 'u_afterimage'),
+            afterimageAmount: gl.getUniformLocation(program, 'u_afterimageAmount'),
+            aura: gl.getUniformLocation(program, 'u_aura'),
+            auraAmount: gl.getUniformLocation(program, 'u_auraAmount')
+        };
+        
+        gl.uniform1i(this.glUniforms.frame, 0);
+        gl.uniform1i(this.glUniforms.afterimage, 1);
+        gl.uniform1i(this.glUniforms.aura, 2);
+        gl.uniform1i(this.glUniforms.curves, 3);
+        
+        this.glProgram = program;
+        this.applyFilterUniforms();
+        return true;
+    }
+    
+    /**
+     * Push the active preset's coefficients to the shader
+     */
+    applyFilterUniforms() {
+        const gl = this.gl;
+        if (!gl || !this.glProgram) return;
+        
+        const filter = this.getFilterCoefficients();
+        const m = filter.matrix;
+        // GLSL matrices are column-major and WebGL 1 can't transpose on upload
+        gl.uniformMatrix3fv(this.glUniforms.matrix, false, [
+            m[0], m[3], m[6],
+            m[1], m[4], m[7],
+            m[2], m[5], m[8]
+        ]);
+        gl.uniform1f(this.glUniforms.darkness, filter.darknessFactor);
+        gl.uniform1f(this.glUniforms.contrast, filter.contrastBoost);
+        gl.uniform1f(this.glUniforms.midpoint, filter.contrastMidpoint / 255);
+        
+        gl.uniform1f(this.glUniforms.toneEnabled, hasToneAdjustments(filter) ? 1 : 0);
+        gl.uniform3f(this.glUniforms.gamma, filter.gamma[0], filter.gamma[1], filter.gamma[2]);
+        gl.activeTexture(gl.TEXTURE3);
+        gl.bindTexture(gl.TEXTURE_2D, this.glCurvesTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 256, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, buildCurveTextureData(filter));
+        gl.activeTexture(gl.TEXTURE0);
+    }
+    
+    // Non power-of-two sizes, so no mipmaps or repeat
+    createGLTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        return texture;
+    }
+    
+    compileShader(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            console.error('Shader compile error:', gl.getShaderInfoLog(shader));
+            gl.deleteShader(shader);
+            return null;
+        }
+        return shader;
+    }
+    
+    /**
+     * 2D canvas fallback - per-pixel dicyanin filter on the CPU
+     * See SCREEN_PRESETS for the spectral rationale
+     */
+    applyDicyaninFilter(imageData) {
+        filterPixels(imageData.data, this.getFilterCoefficients().matrix, this.getFilterLut(), this.intensity);
+        return imageData;
+    }
+    
+    processFrame() {
+        if (!this.isProcessing) return;
+        
+        const now = performance.now();
+        this.recordFrameTick(now);
+        
+        // When the governor lowers the frame rate, only every Nth display frame renders
+        if (this.frameCounter++ % (this.frameSkip + 1) === 0) {
+            this.renderFrame(now);
+            this.perfStats.frames++;
+            this.perfStats.workTotal += performance.now() - now;
+        }
+        
+        this.animationId = requestAnimationFrame(this.processFrame);
+    }
+    
+    /**
+     * synchronous forces the main-thread filter, for captures that
+     * can't wait for the worker. capture redraws the current frame only -
+     * the aura, afterimage, scope and recording keep their live state and
+     * aren't fed the extra frame.
+     */
+    renderFrame(now, synchronous = false, capture = false) {
+        this.frameTime = now;
+        if (!capture) {
+            this.auraActive = this.auraEnabled && this.filterEnabled && this.updateAuraOverlay();
+        }
+        const scopeDue = !capture && this.scopeSettings.enabled && now - this.lastScopeTime >= SCOPE_INTERVAL_MS;
+        
+        if (this.gl) {
+            this.renderWebGL();
+            if (scopeDue) this.updateScope(this.readScopeSample());
+        } else {
+            this.render2D(synchronous, scopeDue);
+        }
+        
+        if (capture) return;
+        
+        if (this.afterimageEnabled) {
+            this.updateAfterimage(now);
+        }
+        
+        if (this.isRecording) {
+            this.composeRecordingFrame();
+        }
+    }
+    
+    render2D(synchronous = false, scopeDue = false) {
+        const { width, height } = this.canvas;
+        const source = this.getFrameSource();
+        
+        // Only the region right of filterX gets filtered
+        let filterX = 0;
+        if (this.comparisonMode === 'split') {
+            filterX = width / 2;
+            this.ctx.drawImage(source, 0, 0, filterX, height);
+            this.ctx.drawImage(source, filterX, 0, filterX, height);
+        } else {
+            this.ctx.drawImage(source, 0, 0, width, height);
+            if (this.comparisonMode === 'wipe') {
+                filterX = Math.round(width * this.wipePosition);
+            }
+        }
+        
+        // The scope samples the pixels this frame reads and filters anyway
+        const scopeSize = scopeDue ? getScopeSampleSize(width - filterX, height) : null;
+        if (this.filterEnabled && this.intensity > 0 && filterX < width) {
+            if (this.filterWorker && !synchronous) {
+                this.filterInWorker(filterX, width, height, scopeSize);
+            } else {
+                const imageData = this.ctx.getImageData(filterX, 0, width - filterX, height);
+                const raw = scopeSize && samplePixelGrid(imageData.data, imageData.width, height, scopeSize.width, scopeSize.height);
+                const filtered = this.applyDicyaninFilter(imageData);
+                this.ctx.putImageData(filtered, filterX, 0);
+                if (raw) {
+                    this.updateScope({
+                        ...scopeSize,
+                        raw,
+                        filtered: samplePixelGrid(filtered.data, filtered.width, height, scopeSize.width, scopeSize.height)
+                    });
+                }
+            }
+        } else {
+            this.clearWorkerResult();
+            if (scopeDue) this.updateScope(this.readScopeSample());
+        }
+        
+        if (this.auraActive && filterX < width) {
+            this.drawAuraOverlay2D(filterX);
+        }
+        
+        if (this.afterimageActive) {
+            const imageData = this.ctx.getImageData(0, 0, width, height);
+            this.ctx.putImageData(this.applyAfterimage(imageData), 0, 0);
+        }
+        
+        if (this.comparisonMode !== 'off') {
+            const lineWidth = Math.max(2, Math.round(width / 640));
+            this.ctx.fillStyle = '#fff';
+            this.ctx.fillRect(this.getDividerPosition() * width - lineWidth / 2, 0, lineWidth, height);
+        }
+    }
+    
+    renderWebGL() {
+        const gl = this.gl;
+        if (gl.isContextLost() || !this.glProgram) return;
+        
+        // Uploading a video with no decoded frame yet throws in some browsers
+        const source = this.getFrameSource();
+        if (source === this.video && this.video.readyState < this.video.HAVE_CURRENT_DATA) return;
+        
+        gl.bindTexture(gl.TEXTURE_2D, this.glTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        
+        const intensity = this.filterEnabled ? this.intensity : 0;
+        gl.uniform1f(this.glUniforms.intensity, intensity);
+        gl.uniform1f(this.glUniforms.compareMode, COMPARISON_MODES.indexOf(this.comparisonMode));
+        gl.uniform1f(this.glUniforms.divider, this.getDividerPosition());
+        gl.uniform1f(this.glUniforms.afterimageAmount, this.afterimageActive ? 1 : 0);
+        gl.uniform1f(this.glUniforms.auraAmount, this.auraActive ? 1 : 0);
+        gl.uniform1f(this.glUniforms.dividerWidth, Math.max(1, this.canvas.width / 1280) / this.canvas.width);
+        
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+    
+    // ==================== FILTER WORKER ====================
+    
+    /**
+     * Move the 2D fallback's pixel loop off the main thread. Needs
+     * Worker, OffscreenCanvas and createImageBitmap - without them (or
+     * if the worker fails) render2D keeps filtering on the main thread.
+     */
+    initFilterWorker() {
+        const supported = typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function' &&
+            location.protocol !== 'file:';
+        if (!supported) return;
+        
+        try {
+            this.filterWorker = new Worker('filter-worker.js');
+        } catch (error) {
+            console.warn('Filter worker unavailable:', error);
+            return;
+        }
+        
+        this.filterWorker.addEventListener('message', (e) => this.onWorkerMessage(e.data));
+        this.filterWorker.addEventListener('error', (e) => {
+            console.warn('Filter worker failed, filtering on the main thread:', e.message);
+            this.stopFilterWorker();
+        });
+        this.postWorkerFilter();
+    }
+    
+    stopFilterWorker() {
+        if (this.filterWorker) {
+            this.filterWorker.terminate();
+            this.filterWorker = null;
+        }
+        this.workerBusy = false;
+        this.clearWorkerResult();
+    }
+    
+    postWorkerFilter() {
+        if (!this.filterWorker) return;
+        
+        this.filterWorker.postMessage({
+            type: 'filter',
+            matrix: Array.from(this.getFilterCoefficients().matrix),
+            luts: this.getFilterLut()
+        });
+    }
+    
+    /**
+     * Hand the raw filter region to the worker when it's free - frames
+     * that arrive while it's busy are dropped, not queued - and draw the
+     * latest filtered result, a frame or two behind the raw view.
+     * scopeSize asks the worker to send back raw and filtered samples of
+     * this frame for the scope.
+     */
+    filterInWorker(filterX, width, height, scopeSize = null) {
+        if (!this.workerBusy) {
+            this.workerBusy = true;
+            if (scopeSize) this.lastScopeTime = this.frameTime;
+            
+            // The bitmap snapshots the canvas now, before the result is drawn over it
+            createImageBitmap(this.canvas, filterX, 0, width - filterX, height).then(bitmap => {
+                if (!this.filterWorker) {
+                    bitmap.close();
+                    return;
+                }
+                this.filterWorker.postMessage({
+                    type: 'frame',
+                    bitmap,
+                    x: filterX,
+                    intensity: this.intensity,
+                    scope: scopeSize
+                }, [bitmap]);
+            }).catch(error => {
+                console.warn('Frame snapshot failed:', error);
+                this.workerBusy = false;
+            });
+        }
+        
+        const result = this.workerResult;
+        if (!result || result.bitmap.height !== height) return;
+        
+        // The wipe may have moved since - keep the result inside the current region
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(filterX, 0, width - filterX, height);
+        this.ctx.clip();
+        this.ctx.drawImage(result.bitmap, result.x, 0);
+        this.ctx.restore();
+    }
+    
+    onWorkerMessage(message) {
+        if (message.type !== 'frame') return;
+        
+        this.clearWorkerResult();
+        this.workerResult = { bitmap: message.bitmap, x: message.x };
+        this.workerBusy = false;
+        if (message.scope) this.updateScope(message.scope);
+    }
+    
+    clearWorkerResult() {
+        if (this.workerResult) {
+            this.workerResult.bitmap.close();
+            this.workerResult = null;
+        }
+    }
+    
+    // ==================== PERFORMANCE ====================
+    
+    resetPerformanceStats() {
+        this.perfStats = {
+            windowStart: 0,
+            lastTick: 0,
+            ticks: 0,
+            tickTotal: 0,
+            bestTick: Infinity,
+            bestTicks: [],
+            frames: 0,
+            workTotal: 0
+        };
+    }
+    
+    /**
+     * Track display frame intervals and close the measuring window once
+     * a second. WebGL work mostly shows up as late frames rather than
+     * time spent in processFrame, so both are watched.
+     */
+    recordFrameTick(now) {
+        const stats = this.perfStats;
+        
+        // Ignore gaps from backgrounded tabs and paused playback
+        if (stats.lastTick && now - stats.lastTick < 500) {
+            stats.ticks++;
+            stats.tickTotal += now - stats.lastTick;
+            stats.bestTick = Math.min(stats.bestTick, now - stats.lastTick);
+        }
+        stats.lastTick = now;
+        
+        if (!stats.windowStart) {
+            stats.windowStart = now;
+        } else if (now - stats.windowStart >= GOVERNOR_WINDOW_MS) {
+            this.closePerformanceWindow(now);
+        }
+    }
+    
+    closePerformanceWindow(now) {
+        const stats = this.perfStats;
+        const avgTick = stats.ticks ? stats.tickTotal / stats.ticks : 0;
+        const avgWork = stats.frames ? stats.workTotal / stats.frames : 0;
+        const fps = stats.frames * 1000 / (now - stats.windowStart);
+        
+        if (stats.ticks) {
+            stats.bestTicks.push(stats.bestTick);
+            if (stats.bestTicks.length > GOVERNOR_DISPLAY_WINDOWS) stats.bestTicks.shift();
+        }
+        
+        if (this.performanceSettings.showStats) {
+            const scale = Math.round(this.renderScale * 100);
+            this.perfReadout.textContent = `${Math.round(fps)} fps · ${avgWork.toFixed(1)} ms · ${scale}%`;
+        }
+        
+        if (this.performanceSettings.quality === 'auto' && stats.frames) {
+            this.governPerformance(avgTick, avgWork, Math.min(...stats.bestTicks));
+        }
+        
+        Object.assign(stats, { windowStart: now, ticks: 0, tickTotal: 0, bestTick: Infinity, frames: 0, workTotal: 0 });
+    }
+    
+    /**
+     * Step processing resolution first, then frame rate, down when
+     * falling behind; recover in the reverse order after a few windows
+     * of headroom so it doesn't oscillate. displayTick is the display's
+     * native frame interval - headroom means keeping close to it.
+     */
+    governPerformance(avgTick, avgWork, displayTick) {
+        const scaleIndex = Math.max(0, RENDER_SCALE_STEPS.indexOf(this.renderScale));
+        
+        if (avgTick > GOVERNOR_SLOW_TICK_MS || avgWork > GOVERNOR_SLOW_WORK_MS) {
+            this.headroomWindows = 0;
+            if (scaleIndex < RENDER_SCALE_STEPS.length - 1) {
+                this.setRenderScale(RENDER_SCALE_STEPS[scaleIndex + 1]);
+            } else if (this.frameSkip < GOVERNOR_MAX_FRAME_SKIP) {
+                this.frameSkip++;
+            }
+        } else if (avgTick < displayTick * GOVERNOR_FAST_TICK_RATIO && avgWork < GOVERNOR_FAST_WORK_MS) {
+            if (++this.headroomWindows < GOVERNOR_RECOVERY_WINDOWS) return;
+            
+            this.headroomWindows = 0;
+            if (this.frameSkip > 0) {
+                this.frameSkip--;
+            } else if (scaleIndex > 0) {
+                this.setRenderScale(RENDER_SCALE_STEPS[scaleIndex - 1]);
+            }
+        } else {
+            this.headroomWindows = 0;
+        }
+    }
+    
+    setRenderScale(scale) {
+        if (scale === this.renderScale) return;
+        this.renderScale = scale;
+        this.handleResize();
+    }
+    
+    /**
+     * Manual quality pins the scale; auto starts from full and adapts
+     */
+    applyQualitySetting() {
+        this.frameSkip = 0;
+        this.headroomWindows = 0;
+        this.setRenderScale(QUALITY_SCALES[this.performanceSettings.quality] || 1);
+    }
+    
+    bindPerformanceSettings() {
+        this.qualitySelect.addEventListener('change', (e) => {
+            this.performanceSettings.quality = e.target.value;
+            this.saveStoredSettings(STORAGE_KEYS.performance, this.performanceSettings);
+            this.applyQualitySetting();
+        });
+        this.showStatsInput.addEventListener('change', (e) => {
+            this.performanceSettings.showStats = e.target.checked;
+            this.saveStoredSettings(STORAGE_KEYS.performance, this.performanceSettings);
+            this.syncPerformanceControls();
+        });
+        this.syncPerformanceControls();
+    }
+    
+    syncPerformanceControls() {
+        this.qualitySelect.value = this.performanceSettings.quality;
+        this.showStatsInput.checked = this.performanceSettings.showStats;
+        this.perfReadout.classList.toggle('hidden', !this.performanceSettings.showStats);
+    }
+    
+    // ==================== ANALYSIS ====================
+    
+    /**
+     * Draw a source into its low-res analysis canvas and read it back.
+     * Cheap enough to run every frame at AFTERIMAGE_BUFFER_WIDTH. Each
+     * source keeps its own canvas, so the afterimage (live view) and the
+     * aura (camera frame) don't resize a shared one back and forth, and
+     * repeat reads of a source within a frame share one readback.
+     */
+    sampleAnalysisFrame(source, width, height) {
+        let sampler = this.analysisSamplers.get(source);
+        if (!sampler) {
+            const canvas = document.createElement('canvas');
+            sampler = { canvas, ctx: canvas.getContext('2d', { willReadFrequently: true }), time: -1, imageData: null };
+            this.analysisSamplers.set(source, sampler);
+        }
+        
+        const last = sampler.imageData;
+        if (last && sampler.time === this.frameTime && last.width === width && last.height === height) {
+            return last;
+        }
+        
+        if (sampler.canvas.width !== width || sampler.canvas.height !== height) {
+            sampler.canvas.width = width;
+            sampler.canvas.height = height;
+        }
+        sampler.ctx.drawImage(source, 0, 0, width, height);
+        sampler.imageData = sampler.ctx.getImageData(0, 0, width, height);
+        sampler.time = this.frameTime;
+        return sampler.imageData;
+    }
+    
+    // ==================== SCOPE ====================
+    
+    /**
+     * Measure the raw frame against what the screen shows - filtered at
+     * the current intensity (just the filtered side in split and wipe
+     * views), or raw while the filter is toggled off.
+     * sample: { raw, filtered, width, height } RGBA at analysis size.
+     */
+    updateScope(sample) {
+        this.lastScopeTime = this.frameTime;
+        if (!sample) return;
+        
+        const { raw, filtered, width, height } = sample;
+        const rawStats = computeChannelStats(raw);
+        const filteredStats = computeChannelStats(filtered);
+        this.drawScope(filtered, width, height, rawStats, filteredStats);
+        this.updateScopeStats(rawStats.means, filteredStats.means);
+    }
+    
+    /**
+     * Analysis readback for frames that read no pixels of their own - the
+     * WebGL path, or the 2D path with the filter off. The filtered side
+     * runs the 2D filter math the shader mirrors.
+     */
+    readScopeSample() {
+        const source = this.getSourceSize();
+        if (!source.width || !source.height) return null;
+        
+        const { width, height } = getScopeSampleSize(source.width, source.height);
+        const raw = this.sampleAnalysisFrame(this.getFrameSource(), width, height).data;
+        const filtered = new Uint8ClampedArray(raw);
+        if (this.filterEnabled) {
+            filterPixels(filtered, this.getFilterCoefficients().matrix, this.getFilterLut(), this.intensity);
+        }
+        return { raw, filtered, width, height };
+    }
+    
+    /**
+     * Top: per-channel histograms, filtered filled and raw outlined
+     * (square-root scale so clipped spikes don't flatten the rest).
+     * Bottom: waveform of the filtered frame - column by brightness.
+     */
+    drawScope(filtered, width, height, rawStats, filteredStats) {
+        const ctx = this.scopeCtx;
+        const half = SCOPE_HEIGHT / 2;
+        if (this.scopeCanvas.width !== width) {
+            this.scopeCanvas.width = width;
+            this.scopeCanvas.height = SCOPE_HEIGHT;
+        }
+        
+        ctx.clearRect(0, 0, width, SCOPE_HEIGHT);
+        const binWidth = width / SCOPE_HISTOGRAM_BINS;
+        const colors = [CURVE_CHANNEL_COLORS.r, CURVE_CHANNEL_COLORS.g, CURVE_CHANNEL_COLORS.b];
+        
+        ctx.globalCompositeOperation = 'lighter';
+        colors.forEach((color, c) => {
+            const filteredBins = filteredStats.histograms[c];
+            const rawBins = rawStats.histograms[c];
+            const peak = Math.max(1, ...filteredBins, ...rawBins);
+            const y = (count) => half - Math.sqrt(count / peak) * (half - 2);
+            
+            ctx.beginPath();
+            ctx.moveTo(0, half);
+            filteredBins.forEach((count, bin) => {
+                ctx.lineTo(bin * binWidth, y(count));
+                ctx.lineTo((bin + 1) * binWidth, y(count));
+            });
+            ctx.lineTo(width, half);
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.5;
+            ctx.fill();
+            
+            ctx.beginPath();
+            rawBins.forEach((count, bin) => {
+                ctx.lineTo(bin * binWidth, y(count));
+                ctx.lineTo((bin + 1) * binWidth, y(count));
+            });
+            ctx.strokeStyle = color;
+            ctx.globalAlpha = 0.9;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        
+        // Waveform - counts per (column, level), one color channel each
+        const waveform = ctx.createImageData(width, half);
+        const out = waveform.data;
+        const gain = 255 * 8 / height;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    const row = (half - 1) - Math.round(filtered[i + c] * (half - 1) / 255);
+                    const o = (row * width + x) * 4 + c;
+                    out[o] = Math.min(255, out[o] + gain);
+                }
+            }
+        }
+        for (let i = 3; i < out.length; i += 4) {
+            out[i] = Math.max(out[i - 3], out[i - 2], out[i - 1]) ? 255 : 0;
+        }
+        ctx.putImageData(waveform, 0, half);
+    }
+    
+    // Mean per channel, and filtered ÷ raw as the screen's transmission
+    updateScopeStats(rawMeans, filteredMeans) {
+        const cells = ['', 'Raw', 'Filtered', 'Transmission'];
+        ['R', 'G', 'B'].forEach((label, c) => {
+            const ratio = rawMeans[c] > 0 ? `${(filteredMeans[c] / rawMeans[c] * 100).toFixed(1)}%` : '-';
+            cells.push(label, rawMeans[c].toFixed(0), filteredMeans[c].toFixed(0), ratio);
+        });
+        
+        this.scopeStats.replaceChildren(...cells.map(text => {
+            const cell = document.createElement('span');
+            cell.textContent = text;
+            return cell;
+        }));
+    }
+    
+    bindScopeSettings() {
+        this.showScopeInput.addEventListener('change', (e) => {
+            this.scopeSettings.enabled = e.target.checked;
+            this.saveStoredSettings(STORAGE_KEYS.scope, this.scopeSettings);
+            this.syncScopeControls();
+        });
+        this.syncScopeControls();
+    }
+    
+    syncScopeControls() {
+        this.showScopeInput.checked = this.scopeSettings.enabled;
+        this.scopePanel.classList.toggle('hidden', !this.scopeSettings.enabled);
+        this.lastScopeTime = 0;
+    }
+    
+    // ==================== AFTERIMAGE SIMULATION ====================
+    
+    /**
+     * Kilner had observers stare through the dark screen, then look at
+     * the subject with the naked eye. The retina adapts to what it sees
+     * through the screen; removing the screen then shows the complementary
+     * (negative) image, strongest around edges, fading over several seconds.
+     * 
+     * Model, per low-res pixel and channel:
+     * - screen on:  fatigue approaches the filtered stimulus (time constant AFTERIMAGE_ADAPT_SECONDS)
+     * - screen off: fatigue decays toward zero over afterimageFadeSeconds
+     * - display:    raw - strength * (fatigue - mean fatigue)
+     * 
+     * Subtracting the deviation from the mean keeps overall brightness, so
+     * what remains is the color-complementary, contrast-reversed ghost.
+     * Any movement since adapting leaves the old edges as fringes.
+     */
+    updateAfterimage(now) {
+        const dt = this.lastAfterimageTime ? Math.min(0.25, (now - this.lastAfterimageTime) / 1000) : 0;
+        this.lastAfterimageTime = now;
+        
+        const width = AFTERIMAGE_BUFFER_WIDTH;
+        const height = Math.max(1, Math.round(width * this.canvas.height / this.canvas.width));
+        
+        if (!this.fatigue || this.fatigue.length !== width * height * 3) {
+            this.fatigue = new Float32Array(width * height * 3);
+            this.afterimageOffset = new Float32Array(width * height * 3);
+            this.afterimageWidth = width;
+            this.afterimageHeight = height;
+        }
+        
+        const fatigue = this.fatigue;
+        
+        if (this.filterEnabled) {
+            // Adapting to what is seen through the screen
+            const stimulus = this.sampleAnalysisFrame(this.canvas, width, height).data;
+            const rate = 1 - Math.exp(-dt / AFTERIMAGE_ADAPT_SECONDS);
+            
+            for (let i = 0, j = 0; i < fatigue.length; i += 3, j += 4) {
+                fatigue[i] += (stimulus[j] - fatigue[i]) * rate;
+                fatigue[i + 1] += (stimulus[j + 1] - fatigue[i + 1]) * rate;
+                fatigue[i + 2] += (stimulus[j + 2] - fatigue[i + 2]) * rate;
+            }
+            this.afterimageActive = false;
+            return;
+        }
+        
+        // Screen removed - recovering
+        const decay = Math.exp(-3 * dt / this.afterimageFadeSeconds);
+        const mean = [0, 0, 0];
+        for (let i = 0; i < fatigue.length; i += 3) {
+            fatigue[i] *= decay;
+            fatigue[i + 1] *= decay;
+            fatigue[i + 2] *= decay;
+            mean[0] += fatigue[i];
+            mean[1] += fatigue[i + 1];
+            mean[2] += fatigue[i + 2];
+        }
+        const pixels = fatigue.length / 3;
+        mean[0] /= pixels;
+        mean[1] /= pixels;
+        mean[2] /= pixels;
+        
+        const offset = this.afterimageOffset;
+        const strength = this.afterimageStrength;
+        let peak = 0;
+        for (let i = 0; i < fatigue.length; i++) {
+            offset[i] = -strength * (fatigue[i] - mean[i % 3]);
+            peak = Math.max(peak, Math.abs(offset[i]));
+        }
+        
+        // Below one 8-bit step the ghost is invisible - skip the extra pass
+        this.afterimageActive = peak >= 1;
+        
+        if (this.afterimageActive && this.gl) {
+            this.uploadAfterimageTexture();
+        }
+    }
+    
+    uploadAfterimageTexture() {
+        const gl = this.gl;
+        const offset = this.afterimageOffset;
+        const pixels = new Uint8Array(this.afterimageWidth * this.afterimageHeight * 4);
+        
+        // Signed offset (-256..256) encoded as 128 + offset / 2
+        for (let i = 0, j = 0; i < offset.length; i += 3, j += 4) {
+            pixels[j] = 128 + offset[i] / 2;
+            pixels[j + 1] = 128 + offset[i + 1] / 2;
+            pixels[j + 2] = 128 + offset[i + 2] / 2;
+            pixels[j + 3] = 255;
+        }
+        
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.glAfterimageTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.afterimageWidth, this.afterimageHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+    
+    /**
+     * 2D fallback - add the upscaled offsets (nearest neighbour) to a frame
+     */
+    applyAfterimage(imageData) {
+        const data = imageData.data;
+        const { width, height } = imageData;
+        const offset = this.afterimageOffset;
+        const offsetWidth = this.afterimageWidth;
+        const offsetHeight = this.afterimageHeight;
+        
+        for (let y = 0; y < height; y++) {
+            const rowStart = Math.floor(y * offsetHeight / height) * offsetWidth;
+            
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const o = (rowStart + Math.floor(x * offsetWidth / width)) * 3;
+                
+                data[i] += offset[o];
+                data[i + 1] += offset[o + 1];
+                data[i + 2] += offset[o + 2];
+            }
+        }
+        
+        return imageData;
+    }
+    
+    setAfterimageEnabled(enabled) {
+        this.afterimageEnabled = enabled;
+        this.fatigue = null;
+        this.afterimageActive = false;
+        this.lastAfterimageTime = 0;
+        
+        if (enabled) {
+            this.showToast('Stare through the screen, then tap to remove it', 'info');
+        }
+    }
+    
+    bindAfterimageSettings() {
+        this.afterimageEnabledInput.addEventListener('change', (e) => {
+            this.setAfterimageEnabled(e.target.checked);
+            this.syncAfterimageControls();
+        });
+        this.afterimageFadeInput.addEventListener('input', (e) => {
+            this.afterimageFadeSeconds = Number(e.target.value);
+            this.syncAfterimageControls();
+        });
+        this.afterimageStrengthInput.addEventListener('input', (e) => {
+            this.afterimageStrength = e.target.value / 100;
+        });
+    }
+    
+    syncAfterimageControls() {
+        this.afterimageEnabledInput.checked = this.afterimageEnabled;
+        this.afterimageFadeInput.value = this.afterimageFadeSeconds;
+        this.afterimageFadeValue.textContent = `${this.afterimageFadeSeconds}s`;
+        this.afterimageStrengthInput.value = Math.round(this.afterimageStrength * 100);
+        this.afterimageOptions.classList.toggle('disabled', !this.afterimageEnabled);
+    }
+    
+    // ==================== AURA OVERLAY ====================
+    
+    /**
+     * Find subject boundaries and render Kilner's three glow bands around
+     * them into the low-res aura canvas. Runs entirely on the CPU at
+     * AURA_BUFFER_WIDTH - no model download.
+     * 
+     * 1. Background subtraction: a running-average luma background, learned
+     *    quickly after a reset and then only where nothing is moving
+     * 2. Sobel edges on the same luma
+     * 3. A pixel belongs to the subject when its background difference,
+     *    backed up by edge strength, is high enough; before the background
+     *    is learned strong edges alone are used
+     * 4. A chamfer distance transform from the subject gives each outside
+     *    pixel its distance, which selects the band
+     * 
+     * Returns false when there's nothing to draw yet.
+     */
+    updateAuraOverlay() {
+        const source = this.getSourceSize();
+        if (!source.width || !source.height) return false;
+        
+        const width = AURA_BUFFER_WIDTH;
+        const height = Math.max(3, Math.round(width * source.height / source.width));
+        const count = width * height;
+        
+        const frame = this.sampleAnalysisFrame(this.getFrameSource(), width, height).data;
+        
+        if (!this.auraBackground || this.auraBackground.length !== count) {
+            this.auraBackground = new Float32Array(count);
+            this.auraLuma = new Float32Array(count);
+            this.auraScore = new Uint8Array(count);
+            this.auraDistance = new Float32Array(count);
+            this.auraLearnFrames = 0;
+            this.auraCanvas.width = width;
+            this.auraCanvas.height = height;
+            this.auraImage = this.auraCtx.createImageData(width, height);
+        }
+        
+        const luma = this.auraLuma;
+        const background = this.auraBackground;
+        const learning = this.auraLearnFrames < AURA_LEARN_FRAMES;
+        const learnRate = this.auraLearnFrames === 0 ? 1 : 0.2;
+        
+        for (let i = 0, j = 0; i < count; i++, j += 4) {
+            luma[i] = 0.299 * frame[j] + 0.587 * frame[j + 1] + 0.114 * frame[j + 2];
+        }
+        
+        // Score subject pixels: 0 background, 1 subject
+        const score = this.auraScore;
+        score.fill(0);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                
+                // Sobel
+                const gx =
+                    -luma[i - width - 1] + luma[i - width + 1] +
+                    -2 * luma[i - 1] + 2 * luma[i + 1] +
+                    -luma[i + width - 1] + luma[i + width + 1];
+                const gy =
+                    -luma[i - width - 1] - 2 * luma[i - width] - luma[i - width + 1] +
+                    luma[i + width - 1] + 2 * luma[i + width] + luma[i + width + 1];
+                const edge = Math.min(1, Math.sqrt(gx * gx + gy * gy) / AURA_EDGE_THRESHOLD);
+                
+                if (learning) {
+                    score[i] = edge >= 1 ? 1 : 0;
+                } else {
+                    const difference = Math.min(1, Math.abs(luma[i] - background[i]) / AURA_FOREGROUND_THRESHOLD);
+                    score[i] = (0.65 * difference + 0.35 * edge) >= 0.65 ? 1 : 0;
+                }
+            }
+        }
+        
+        // Learn the background - never from pixels currently on the subject
+        for (let i = 0; i < count; i++) {
+            const rate = learning ? learnRate : (score[i] ? 0 : AURA_BACKGROUND_RATE);
+            background[i] += (luma[i] - background[i]) * rate;
+        }
+        this.auraLearnFrames++;
+        
+        // Chamfer distance from subject pixels, dropping isolated noise
+        const distance = this.auraDistance;
+        const far = width + height;
+        let subjectPixels = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                let isSubject = false;
+                
+                if (score[i] && x > 0 && y > 0 && x < width - 1 && y < height - 1) {
+                    const neighbours =
+                        score[i - width - 1] + score[i - width] + score[i - width + 1] +
+                        score[i - 1] + score[i + 1] +
+                        score[i + width - 1] + score[i + width] + score[i + width + 1];
+                    isSubject = neighbours >= 3;
+                }
+                
+                distance[i] = isSubject ? 0 : far;
+                if (isSubject) subjectPixels++;
+            }
+        }
+        if (!subjectPixels) return false;
+        
+        this.chamferDistance(distance, width, height);
+        
+        // Paint the bands
+        const scale = width / 100; // band widths are % of frame width
+        const bands = this.auraBands.map(band => ({
+            rgb: this.hexToRgb(band.color),
+            width: Math.max(0.5, band.width * scale),
+            alpha: band.alpha
+        }));
+        const pixels = this.auraImage.data;
+        
+        for (let i = 0, j = 0; i < count; i++, j += 4) {
+            const d = distance[i];
+            let bandStart = 0;
+            let alpha = 0;
+            let rgb = null;
+            
+            if (d > 0) {
+                for (const band of bands) {
+                    if (d <= bandStart + band.width) {
+                        // Fade toward the outer edge of each band
+                        const t = (d - bandStart) / band.width;
+                        alpha = band.alpha * (1 - 0.6 * t);
+                        rgb = band.rgb;
+                        break;
+                    }
+                    bandStart += band.width;
+                }
+            }
+            
+            if (rgb) {
+                pixels[j] = rgb[0];
+                pixels[j + 1] = rgb[1];
+                pixels[j + 2] = rgb[2];
+                pixels[j + 3] = alpha * 255;
+            } else {
+                pixels[j + 3] = 0;
+            }
+        }
+        
+        this.auraCtx.putImageData(this.auraImage, 0, 0);
+        
+        if (this.gl) {
+            const gl = this.gl;
+            gl.activeTexture(gl.TEXTURE2);
+            gl.bindTexture(gl.TEXTURE_2D, this.glAuraTexture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.auraImage);
+            gl.activeTexture(gl.TEXTURE0);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Two-pass 3-4 chamfer distance transform, in place, in pixels
+     */
+    chamferDistance(distance, width, height) {
+        const straight = 1;
+        const diagonal = 4 / 3;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                let d = distance[i];
+                if (x > 0) d = Math.min(d, distance[i - 1] + straight);
+                if (y > 0) {
+                    d = Math.min(d, distance[i - width] + straight);
+                    if (x > 0) d = Math.min(d, distance[i - width - 1] + diagonal);
+                    if (x < width - 1) d = Math.min(d, distance[i - width + 1] + diagonal);
+                }
+                distance[i] = d;
+            }
+        }
+        
+        for (let y = height - 1; y >= 0; y--) {
+            for (let x = width - 1; x >= 0; x--) {
+                const i = y * width + x;
+                let d = distance[i];
+                if (x < width - 1) d = Math.min(d, distance[i + 1] + straight);
+                if (y < height - 1) {
+                    d = Math.min(d, distance[i + width] + straight);
+                    if (x < width - 1) d = Math.min(d, distance[i + width + 1] + diagonal);
+                    if (x > 0) d = Math.min(d, distance[i + width - 1] + diagonal);
+                }
+                distance[i] = d;
+            }
+        }
+    }
+    
+    /**
+     * 2D fallback - scale the aura canvas over the filtered region
+     */
+    drawAuraOverlay2D(filterX) {
+        const { width, height } = this.canvas;
+        const ctx = this.ctx;
+        
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        if (this.comparisonMode === 'split') {
+            ctx.drawImage(this.auraCanvas, filterX, 0, width - filterX, height);
+        } else {
+            // Wipe mode - keep the raw side clean
+            ctx.beginPath();
+            ctx.rect(filterX, 0, width - filterX, height);
+            ctx.clip();
+            ctx.drawImage(this.auraCanvas, 0, 0, width, height);
+        }
+        ctx.restore();
+    }
+    
+    hexToRgb(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+    
+    relearnAuraBackground() {
+        this.auraLearnFrames = 0;
+        this.showToast('Learning background - step out of frame', 'info');
+    }
+    
+    bindAuraSettings() {
+        this.auraBandsContainer.innerHTML = '';
+        this.auraBands.forEach((band, index) => {
+            const row = document.createElement('div');
+            row.className = 'setting-row';
+            row.innerHTML = `
+                <span>${band.name}</span>
+                <div class="band-controls">
+                    <input type="color" aria-label="${band.name} color">
+                    <input type="range" min="0.5" max="20" step="0.5" aria-label="${band.name} width">
+                </div>
+            `;
+            const [colorInput, widthInput] = row.querySelectorAll('input');
+            colorInput.addEventListener('input', (e) => {
+                this.auraBands[index].color = e.target.value;
+            });
+            widthInput.addEventListener('input', (e) => {
+                this.auraBands[index].width = Number(e.target.value);
+            });
+            this.auraBandsContainer.appendChild(row);
+        });
+        
+        this.auraEnabledInput.addEventListener('change', (e) => {
+            this.auraEnabled = e.target.checked;
+            if (this.auraEnabled) this.relearnAuraBackground();
+            this.syncAuraControls();
+        });
+        this.auraRelearnBtn.addEventListener('click', () => this.relearnAuraBackground());
+    }
+    
+    syncAuraControls() {
+        this.auraEnabledInput.checked = this.auraEnabled;
+        this.auraOptions.classList.toggle('disabled', !this.auraEnabled);
+        
+        this.auraBandsContainer.querySelectorAll('.setting-row').forEach((row, index) => {
+            const [colorInput, widthInput] = row.querySelectorAll('input');
+            colorInput.value = this.auraBands[index].color;
+            widthInput.value = this.auraBands[index].width;
+        });
+    }
+    
+    // ==================== COMPARISON MODE ====================
+    
+    cycleComparisonMode() {
+        // The recording canvas is sized when recording starts
+        if (this.isRecording) {
+            this.showToast('Stop recording to change comparison mode', 'info');
+            return;
+        }
+        
+        const next = COMPARISON_MODES[(COMPARISON_MODES.indexOf(this.comparisonMode) + 1) % COMPARISON_MODES.length];
+        this.setComparisonMode(next);
+        
+        const labels = { off: 'Comparison off', split: 'Side-by-side comparison', wipe: 'Wipe comparison - drag to move' };
+        this.showToast(labels[next], 'info');
+    }
+    
+    setComparisonMode(mode) {
+        this.comparisonMode = mode;
+        this.wipePosition = 0.5;
+        
+        this.compareBtn.classList.toggle('active', mode !== 'off');
+        this.compareLabels.classList.toggle('hidden', mode === 'off');
+        // Side by side is twice as wide - letterbox it instead of cropping
+        this.canvas.classList.toggle('contain', mode === 'split');
+        
+        this.handleResize();
+    }
+    
+    getDividerPosition() {
+        return this.comparisonMode === 'split' ? 0.5 : this.wipePosition;
+    }
+    
+    /**
+     * Map a pointer position to the wipe line, accounting for the
+     * canvas being scaled with object-fit
+     */
+    updateWipePosition(clientX) {
+        const rect = this.canvas.getBoundingClientRect();
+        const contain = this.canvas.classList.contains('contain');
+        const scaleX = rect.width / this.canvas.width;
+        const scaleY = rect.height / this.canvas.height;
+        const scale = contain ? Math.min(scaleX, scaleY) : Math.max(scaleX, scaleY);
+        const offsetX = (rect.width - this.canvas.width * scale) / 2;
+        
+        const canvasX = (clientX - rect.left - offsetX) / scale;
+        this.wipePosition = Math.max(0, Math.min(1, canvasX / this.canvas.width));
+    }
+    
+    // ==================== SCREEN PRESETS ====================
+    
+    populatePresets() {
+        const createOption = (preset) => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            option.title = preset.citation;
+            return option;
+        };
+        
+        this.presetSelect.innerHTML = '';
+        SCREEN_PRESETS.forEach(preset => this.presetSelect.appendChild(createOption(preset)));
+        
+        if (this.userPresets.length) {
+            const group = document.createElement('optgroup');
+            group.label = 'Your Filters';
+            this.userPresets.forEach(preset => group.appendChild(createOption(preset)));
+            this.presetSelect.appendChild(group);
+        }
+        
+        this.presetSelect.value = this.presetId;
+        this.presetCitation.textContent = this.getActivePreset().citation;
+    }
+    
+    getAllPresets() {
+        return SCREEN_PRESETS.concat(this.userPresets);
+    }
+    
+    getActivePreset() {
+        return this.getAllPresets().find(preset => preset.id === this.presetId) || SCREEN_PRESETS[0];
+    }
+    
+    /**
+     * Resolved filter for the active preset - cached, since spectral
+     * presets integrate their curve to build the matrix. While the
+     * advanced editor is open its draft takes over.
+     */
+    getFilterCoefficients() {
+        if (this.draftFilter) return this.draftFilter;
+        
+        const preset = this.getActivePreset();
+        if (!this.resolvedFilter || this.resolvedFilter.presetId !== preset.id) {
+            this.resolvedFilter = { presetId: preset.id, ...resolvePresetFilter(preset) };
+        }
+        return this.resolvedFilter;
+    }
+    
+    setPreset(presetId) {
+        if (!this.getAllPresets().some(preset => preset.id === presetId)) return;
+        
+        this.presetId = presetId;
+        this.presetSelect.value = presetId;
+        this.presetCitation.textContent = this.getActivePreset().citation;
+        this.onFilterChanged();
+        this.persistViewerState();
+    }
+    
+    getFilterLut() {
+        const filter = this.getFilterCoefficients();
+        if (!this.filterLut || this.filterLut.filter !== filter) {
+            this.filterLut = { filter, tables: buildFilterLut(filter) };
+        }
+        return this.filterLut.tables;
+    }
+    
+    /**
+     * Call after any change to the active filter's values
+     */
+    onFilterChanged() {
+        this.resolvedFilter = null;
+        this.filterLut = null;
+        this.applyFilterUniforms();
+        this.postWorkerFilter();
+    }
+    
+    /**
+     * Load a user transmission curve (CSV or JSON) as a new screen preset
+     */
+    async loadTransmissionCurve(file) {
+        try {
+            const text = await file.text();
+            const { name, curve } = parseTransmissionFile(text, file.name);
+            
+            const preset = {
+                id: `user-curve-${Date.now()}`,
+                name: `Custom: ${name}`,
+                citation: `User-supplied transmission curve (${file.name}, ${curve.length} points)`,
+                transmission: curve,
+                coefficients: {
+                    darknessFactor: 1,
+                    contrastBoost: 1.2,
+                    contrastMidpoint: 128
+                }
+            };
+            // Surfaces errors (e.g. a degenerate curve) before the preset is added
+            resolvePresetFilter(preset);
+            
+            this.userPresets.push(preset);
+            this.populatePresets();
+            this.setPreset(preset.id);
+            this.showToast(`Loaded ${name}`);
+        } catch (error) {
+            console.error('Curve load error:', error);
+            alert(`Could not load transmission curve: ${error.message}`);
+        }
+    }
+    
+    toggleFilter() {
+        this.filterEnabled = !this.filterEnabled;
+        this.updateFilterBadge();
+        this.persistViewerState();
+    }
+    
+    updateFilterBadge() {
+        const badge = this.infoBadge;
+        
+        if (this.filterEnabled) {
+            badge.innerHTML = '<span class="badge-dot"></span>DICYANIN FILTER ACTIVE';
+        } else {
+            badge.innerHTML = '<span class="badge-dot" style="background: var(--danger); box-shadow: 0 0 8px var(--danger);"></span>FILTER DISABLED';
+        }
+    }
+    
+    async flipCamera() {
+        if (this.sourceType !== 'camera') {
+            await this.returnToCamera();
+            return;
+        }
+        // Flipping goes back to front/back selection from a specific lens
+        this.cameraSettings.deviceId = '';
+        this.saveStoredSettings(STORAGE_KEYS.camera, this.cameraSettings);
+        this.facingMode = this.facingMode === 'environment' ? 'user' : 'environment';
+        this.persistViewerState();
+        await this.startCamera();
+    }
+    
+    // ==================== FILTER EDITOR ====================
+    
+    loadCustomFilters() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.customFilters) || '[]');
+            saved.forEach(entry => {
+                try {
+                    validateFilterDefinition(entry.filter);
+                    this.userPresets.push(this.createCustomPreset(entry.name, entry.filter));
+                } catch (error) {
+                    console.warn(`Skipping saved filter "${entry.name}":`, error.message);
+                }
+            });
+        } catch (error) {
+            console.warn('Could not read saved filters:', error);
+        }
+    }
+    
+    persistCustomFilters(presets = this.userPresets) {
+        const entries = presets
+            .filter(preset => preset.custom)
+            .map(preset => ({ name: preset.name, filter: preset.filter }));
+        
+        try {
+            localStorage.setItem(STORAGE_KEYS.customFilters, JSON.stringify(entries));
+            return true;
+        } catch (error) {
+            console.error('Save filters error:', error);
+            alert('Could not save filter - browser storage is full or disabled.');
+            return false;
+        }
+    }
+    
+    createCustomPreset(name, filter, id = this.createCustomPresetId(name)) {
+        return {
+            id,
+            name,
+            citation: 'Custom filter',
+            custom: true,
+            filter: createFilterDefinition(filter)
+        };
+    }
+    
+    /**
+     * Names like "Test!" and "test" share a slug, so later ones get a
+     * numeric suffix instead of taking over the earlier filter's id
+     */
+    createCustomPresetId(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'filter';
+        let id = `custom-${slug}`;
+        for (let n = 2; this.userPresets.some(p => p.id === id); n++) {
+            id = `custom-${slug}-${n}`;
+        }
+        return id;
+    }
+    
+    /**
+     * Add or replace (by name) a saved filter and make it the active preset.
+     * Storage is written before the list changes, so a failed save leaves
+     * the presets as they were and returns null.
+     */
+    storeCustomFilter(name, filter) {
+        const presets = this.userPresets.slice();
+        const existing = presets.findIndex(p => p.custom && p.name.toLowerCase() === name.toLowerCase());
+        const preset = this.createCustomPreset(name, filter, existing >= 0 ? presets[existing].id : undefined);
+        
+        if (existing >= 0) {
+            presets[existing] = preset;
+        } else {
+            presets.push(preset);
+        }
+        if (!this.persistCustomFilters(presets)) return null;
+        
+        this.userPresets = presets;
+        this.populatePresets();
+        this.setPreset(preset.id);
+        return preset;
+    }
+    
+    openFilterEditor() {
+        const active = this.getActivePreset();
+        const draft = createFilterDefinition(this.getFilterCoefficients());
+        
+        // Neutral curves get five evenly spaced handles to drag
+        ['r', 'g', 'b'].forEach(channel => {
+            if (isIdentityCurve(draft.curves[channel]) && draft.curves[channel].length === 2) {
+                draft.curves[channel] = [[0, 0], [64, 64], [128, 128], [191, 191], [255, 255]];
+            }
+        });
+        
+        this.draftFilter = draft;
+        this.editorNameInput.value = active.custom ? active.name : `${active.name} (edited)`;
+        this.editorDeleteBtn.classList.toggle('hidden', !active.custom);
+        this.syncFilterEditor();
+        this.onFilterChanged();
+        
+        this.editorModal.classList.remove('hidden');
+    }
+    
+    closeFilterEditor() {
+        this.editorModal.classList.add('hidden');
+        this.draftFilter = null;
+        this.onFilterChanged();
+    }
+    
+    bindFilterEditor() {
+        // 3x3 channel mix grid - rows are outputs, columns inputs
+        this.editorMatrix.innerHTML = '<span></span><span>R in</span><span>G in</span><span>B in</span>';
+        ['R out', 'G out', 'B out'].forEach((label, row) => {
+            const heading = document.createElement('span');
+            heading.textContent = label;
+            this.editorMatrix.appendChild(heading);
+            
+            for (let col = 0; col < 3; col++) {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = '0.01';
+                input.min = '-4';
+                input.max = '4';
+                input.setAttribute('aria-label', `${label}, ${'RGB'[col]} in`);
+                input.addEventListener('input', () => {
+                    const value = parseFloat(input.value);
+                    if (!Number.isFinite(value) || !this.draftFilter) return;
+                    this.draftFilter.matrix[row * 3 + col] = Math.max(-4, Math.min(4, value));
+                    this.onFilterChanged();
+                });
+                this.editorMatrix.appendChild(input);
+            }
+        });
+        
+        this.editorSliders.innerHTML = '';
+        FILTER_EDITOR_SLIDERS.forEach(spec => {
+            const row = document.createElement('label');
+            row.className = 'setting-row';
+            row.innerHTML = `
+                <span>${spec.label} <span class="setting-value"></span></span>
+                <input type="range" min="${spec.min}" max="${spec.max}" step="${spec.step}">
+            `;
+            const valueLabel = row.querySelector('.setting-value');
+            const input = row.querySelector('input');
+            input.addEventListener('input', () => {
+                if (!this.draftFilter) return;
+                spec.set(this.draftFilter, Number(input.value));
+                valueLabel.textContent = input.value;
+                this.onFilterChanged();
+            });
+            this.editorSliders.appendChild(row);
+        });
+        
+        // Curve editor
+        this.curveTabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.curveChannel = tab.dataset.channel;
+                this.syncFilterEditor();
+            });
+        });
+        this.curveCanvas.addEventListener('pointerdown', (e) => this.onCurvePointerDown(e));
+        this.curveCanvas.addEventListener('pointermove', (e) => this.onCurvePointerMove(e));
+        this.curveCanvas.addEventListener('pointerup', () => { this.draggingCurvePoint = -1; });
+        this.curveCanvas.addEventListener('pointercancel', () => { this.draggingCurvePoint = -1; });
+        this.curveCanvas.addEventListener('dblclick', (e) => this.removeCurvePoint(e));
+        this.curveResetBtn.addEventListener('click', () => {
+            this.draftFilter.curves[this.curveChannel] = [[0, 0], [64, 64], [128, 128], [191, 191], [255, 255]];
+            this.drawCurveEditor();
+            this.onFilterChanged();
+        });
+        
+        this.closeEditorBtn.addEventListener('click', () => this.closeFilterEditor());
+        this.editorSaveBtn.addEventListener('click', () => this.saveDraftFilter());
+        this.editorExportBtn.addEventListener('click', () => this.exportDraftFilter());
+        this.editorImportBtn.addEventListener('click', () => this.filterFileInput.click());
+        this.editorDeleteBtn.addEventListener('click', () => this.deleteActiveCustomFilter());
+        this.filterFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importFilterFile(file);
+        });
+    }
+    
+    syncFilterEditor() {
+        const draft = this.draftFilter;
+        if (!draft) return;
+        
+        this.editorMatrix.querySelectorAll('input').forEach((input, index) => {
+            input.value = Number(draft.matrix[index].toFixed(3));
+        });
+        this.editorSliders.querySelectorAll('.setting-row').forEach((row, index) => {
+            const value = FILTER_EDITOR_SLIDERS[index].get(draft);
+            row.querySelector('input').value = value;
+            row.querySelector('.setting-value').textContent = Number(value.toFixed(2));
+        });
+        this.curveTabs.forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.channel === this.curveChannel);
+        });
+        this.drawCurveEditor();
+    }
+    
+    drawCurveEditor() {
+        const ctx = this.curveCtx;
+        const size = this.curveCanvas.width;
+        const scale = size / 255;
+        
+        ctx.clearRect(0, 0, size, size);
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, size, size);
+        
+        // Grid and neutral diagonal
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.lineWidth = 1;
+        for (let i = 1; i < 4; i++) {
+            const p = Math.round(size * i / 4) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(p, 0);
+            ctx.lineTo(p, size);
+            ctx.moveTo(0, p);
+            ctx.lineTo(size, p);
+            ctx.stroke();
+        }
+        ctx.beginPath();
+        ctx.moveTo(0, size);
+        ctx.lineTo(size, 0);
+        ctx.stroke();
+        
+        // Inactive channels faint, active channel with handles
+        const channels = ['r', 'g', 'b'].filter(c => c !== this.curveChannel).concat(this.curveChannel);
+        channels.forEach(channel => {
+            const curve = this.draftFilter.curves[channel];
+            const active = channel === this.curveChannel;
+            
+            ctx.strokeStyle = CURVE_CHANNEL_COLORS[channel];
+            ctx.globalAlpha = active ? 1 : 0.3;
+            ctx.lineWidth = active ? 2 : 1;
+            ctx.beginPath();
+            curve.forEach(([x, y], index) => {
+                const px = x * scale;
+                const py = size - y * scale;
+                if (index === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+            });
+            ctx.stroke();
+            
+            if (active) {
+                ctx.fillStyle = '#fff';
+                curve.forEach(([x, y]) => {
+                    ctx.beginPath();
+                    ctx.arc(x * scale, size - y * scale, 5, 0, Math.PI * 2);
+                    ctx.fill();
+                });
+            }
+        });
+        ctx.globalAlpha = 1;
+    }
+    
+    getCurvePointerPosition(e) {
+        const rect = this.curveCanvas.getBoundingClientRect();
+        const x = ((e.clientX - rect.left) / rect.width) * 255;
+        const y = 255 - ((e.clientY - rect.top) / rect.height) * 255;
+        return [Math.max(0, Math.min(255, x)), Math.max(0, Math.min(255, y))];
+    }
+    
+    findCurvePoint(curve, [x, y]) {
+        // Hit radius ~12 points in 0-255 space
+        let nearest = -1;
+        let nearestDistance = 12;
+        curve.forEach(([px, py], index) => {
+            const distance = Math.hypot(px - x, py - y);
+            if (distance < nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+    
+    onCurvePointerDown(e) {
+        const curve = this.draftFilter.curves[this.curveChannel];
+        const position = this.getCurvePointerPosition(e);
+        let index = this.findCurvePoint(curve, position);
+        
+        // Tapping empty space adds a handle there
+        if (index < 0) {
+            const x = Math.round(position[0]);
+            if (curve.some(([px]) => px === x)) return;
+            curve.push([x, Math.round(position[1])]);
+            curve.sort((a, b) => a[0] - b[0]);
+            index = curve.findIndex(([px]) => px === x);
+            this.onFilterChanged();
+        }
+        
+        this.draggingCurvePoint = index;
+        this.curveCanvas.setPointerCapture(e.pointerId);
+        this.drawCurveEditor();
+    }
+    
+    onCurvePointerMove(e) {
+        const index = this.draggingCurvePoint;
+        if (index < 0) return;
+        
+        const curve = this.draftFilter.curves[this.curveChannel];
+        const [x, y] = this.getCurvePointerPosition(e);
+        
+        // End points stay pinned to 0 and 255; others stay between neighbours
+        let newX = curve[index][0];
+        if (index > 0 && index < curve.length - 1) {
+            newX = Math.max(curve[index - 1][0] + 1, Math.min(curve[index + 1][0] - 1, Math.round(x)));
+        }
+        curve[index] = [newX, Math.round(y)];
+        
+        this.drawCurveEditor();
+        this.onFilterChanged();
+    }
+    
+    removeCurvePoint(e) {
+        const curve = this.draftFilter.curves[this.curveChannel];
+        const index = this.findCurvePoint(curve, this.getCurvePointerPosition(e));
+        if (index <= 0 || index >= curve.length - 1) return;
+        
+        curve.splice(index, 1);
+        this.drawCurveEditor();
+        this.onFilterChanged();
+    }
+    
+    saveDraftFilter() {
+        const name = this.editorNameInput.value.trim().slice(0, 40);
+        if (!name) {
+            alert('Please give your filter a name.');
+            return;
+        }
+        
+        const existing = this.userPresets.find(p => p.custom && p.name.toLowerCase() === name.toLowerCase());
+        if (existing && existing.id !== this.presetId && !confirm(`Replace the saved filter "${existing.name}"?`)) {
+            return;
+        }
+        
+        // On a failed save the editor stays open with the draft intact
+        if (this.storeCustomFilter(name, this.draftFilter)) {
+            this.closeFilterEditor();
+            this.showToast(`Saved "${name}"`);
+        }
+    }
+    
+    exportDraftFilter() {
+        const name = this.editorNameInput.value.trim() || 'Custom Filter';
+        const data = {
+            format: FILTER_FILE_FORMAT,
+            version: FILTER_FILE_VERSION,
+            name,
+            filter: this.draftFilter
+        };
+        
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'filter';
+        this.downloadBlob(blob, `${slug}.dicyanin-filter.json`);
+        this.showToast('Filter exported!');
+    }
+    
+    async importFilterFile(file) {
+        try {
+            const { name, filter } = parseFilterFile(await file.text());
+            
+            if (this.userPresets.some(p => p.custom && p.name.toLowerCase() === name.toLowerCase()) &&
+                !confirm(`Replace the saved filter "${name}"?`)) {
+                return;
+            }
+            
+            if (this.storeCustomFilter(name, filter)) {
+                this.closeFilterEditor();
+                this.openFilterEditor();
+                this.showToast(`Imported "${name}"`);
+            }
+        } catch (error) {
+            console.error('Filter import error:', error);
+            alert(`Could not import filter: ${error.message}`);
+        }
+    }
+    
+    deleteActiveCustomFilter() {
+        const preset = this.getActivePreset();
+        if (!preset.custom || !confirm(`Delete the saved filter "${preset.name}"?`)) return;
+        
+        const presets = this.userPresets.filter(p => p.id !== preset.id);
+        if (!this.persistCustomFilters(presets)) return;
+        
+        this.userPresets = presets;
+        this.closeFilterEditor();
+        this.populatePresets();
+        this.setPreset(DEFAULT_PRESET_ID);
+    }
+    
+    // ==================== SETTINGS ====================
+    
+    openSettings() {
+        this.syncWatermarkControls();
+        this.syncAfterimageControls();
+        this.syncAuraControls();
+        this.syncPerformanceControls();
+        this.syncPhotoControls();
+        this.syncRecordingControls();
+        this.syncExperimentControls();
+        this.syncScopeControls();
+        this.shareStateInput.checked = this.sharingSettings.includeState;
+        this.settingsModal.classList.remove('hidden');
+    }
+    
+    closeSettings() {
+        this.settingsModal.classList.add('hidden');
+    }
+    
+    bindWatermarkSettings() {
+        const update = () => {
+            this.watermarkSettings = {
+                enabled: this.watermarkEnabledInput.checked,
+                caption: this.watermarkCaptionInput.value,
+                showTimestamp: this.watermarkTimestampInput.checked,
+                showPreset: this.watermarkPresetInput.checked,
+                position: this.watermarkPositionSelect.value,
+                opacity: this.watermarkOpacityInput.value / 100
+            };
+            this.syncWatermarkControls();
+            this.persistViewerState();
+        };
+        
+        [
+            this.watermarkEnabledInput,
+            this.watermarkCaptionInput,
+            this.watermarkPositionSelect,
+            this.watermarkOpacityInput,
+            this.watermarkTimestampInput,
+            this.watermarkPresetInput
+        ].forEach(input => input.addEventListener('input', update));
+    }
+    
+    syncWatermarkControls() {
+        const settings = this.watermarkSettings;
+        this.watermarkEnabledInput.checked = settings.enabled;
+        this.watermarkCaptionInput.value = settings.caption;
+        this.watermarkPositionSelect.value = settings.position;
+        this.watermarkOpacityInput.value = Math.round(settings.opacity * 100);
+        this.watermarkTimestampInput.checked = settings.showTimestamp;
+        this.watermarkPresetInput.checked = settings.showPreset;
+        this.watermarkOptions.classList.toggle('disabled', !settings.enabled);
+    }
+    
+    // Browsers without a WebP encoder quietly fall back to PNG
+    canEncodeWebp() {
+        const probe = document.createElement('canvas');
+        probe.width = probe.height = 1;
+        return probe.toDataURL('image/webp').startsWith('data:image/webp');
+    }
+    
+    bindPhotoSettings() {
+        if (!this.canEncodeWebp()) {
+            this.photoFormatSelect.querySelector('option[value="webp"]').disabled = true;
+            if (this.photoSettings.format === 'webp') {
+                this.photoSettings.format = DEFAULT_PHOTO_SETTINGS.format;
+            }
+        }
+        
+        this.photoFormatSelect.addEventListener('change', (e) => {
+            this.photoSettings.format = e.target.value;
+            this.saveStoredSettings(STORAGE_KEYS.photo, this.photoSettings);
+            this.syncPhotoControls();
+        });
+        this.photoQualityInput.addEventListener('input', (e) => {
+            this.photoSettings.quality = e.target.value / 100;
+            this.saveStoredSettings(STORAGE_KEYS.photo, this.photoSettings);
+            this.syncPhotoControls();
+        });
+    }
+    
+    syncPhotoControls() {
+        const settings = this.photoSettings;
+        this.photoFormatSelect.value = settings.format;
+        this.photoQualityInput.value = Math.round(settings.quality * 100);
+        this.photoQualityValue.textContent = `${Math.round(settings.quality * 100)}%`;
+        // PNG is lossless - quality doesn't apply
+        this.photoQualityInput.disabled = settings.format === 'png';
+    }
+    
+    bindRecordingSettings() {
+        RECORDING_DURATIONS.forEach(seconds => {
+            const option = document.createElement('option');
+            option.value = seconds;
+            option.textContent = seconds < 60 ? `${seconds} seconds` : `${seconds / 60} min`;
+            this.recordingLengthSelect.appendChild(option);
+        });
+        
+        this.recordingLengthSelect.addEventListener('change', (e) => {
+            this.recordingSettings.maxDuration = Number(e.target.value);
+            this.maxRecordingDuration = this.recordingSettings.maxDuration * 1000;
+            this.saveStoredSettings(STORAGE_KEYS.recording, this.recordingSettings);
+        });
+        this.recordMicrophoneInput.addEventListener('change', (e) => {
+            this.recordingSettings.microphone = e.target.checked;
+            this.saveStoredSettings(STORAGE_KEYS.recording, this.recordingSettings);
+        });
+    }
+    
+    syncRecordingControls() {
+        this.recordingLengthSelect.value = this.recordingSettings.maxDuration;
+        this.recordMicrophoneInput.checked = this.recordingSettings.microphone;
+    }
+    
+    // ==================== BLIND TRIALS ====================
+    
+    bindExperiment() {
+        Object.entries(TRIAL_ANSWER_TYPES).forEach(([id, type]) => {
+            this.experimentAnswerSelect.add(new Option(type.label, id));
+        });
+        
+        const update = () => {
+            this.experimentSettings = {
+                trials: Math.max(2, Math.min(200, Math.round(Number(this.experimentTrialsInput.value)) || DEFAULT_EXPERIMENT_SETTINGS.trials)),
+                randomizeFilter: this.experimentFilterInput.checked,
+                randomizePreset: this.experimentPresetInput.checked,
+                randomizeIntensity: this.experimentIntensityInput.checked,
+                question: this.experimentQuestionInput.value,
+                answerType: this.experimentAnswerSelect.value
+            };
+            this.saveStoredSettings(STORAGE_KEYS.experiment, this.experimentSettings);
+        };
+        [
+            this.experimentTrialsInput,
+            this.experimentFilterInput,
+            this.experimentPresetInput,
+            this.experimentIntensityInput,
+            this.experimentQuestionInput,
+            this.experimentAnswerSelect
+        ].forEach(input => input.addEventListener('change', update));
+        
+        this.experimentStartBtn.addEventListener('click', () => this.startExperiment());
+        this.trialBeginBtn.addEventListener('click', () => this.beginTrial());
+        this.trialAnswerBtn.addEventListener('click', () => this.askTrialQuestion());
+        this.trialEndBtn.addEventListener('click', () => {
+            if (confirm('End the experiment now? Answered trials can still be exported.')) {
+                this.finishExperiment();
+            }
+        });
+        this.trialExportCsvBtn.addEventListener('click', () => this.exportTrialLog('csv'));
+        this.trialExportJsonBtn.addEventListener('click', () => this.exportTrialLog('json'));
+        this.trialDoneBtn.addEventListener('click', () => this.closeExperiment());
+    }
+    
+    syncExperimentControls() {
+        const settings = this.experimentSettings;
+        this.experimentTrialsInput.value = settings.trials;
+        this.experimentFilterInput.checked = settings.randomizeFilter;
+        this.experimentPresetInput.checked = settings.randomizePreset;
+        this.experimentIntensityInput.checked = settings.randomizeIntensity;
+        this.experimentQuestionInput.value = settings.question;
+        this.experimentAnswerSelect.value = settings.answerType;
+    }
+    
+    /**
+     * Hide everything that gives the condition away (badge, intensity,
+     * screen, comparison), draw the conditions and hand over to the observer
+     */
+    startExperiment() {
+        const settings = { ...this.experimentSettings };
+        if (!settings.randomizeFilter && !settings.randomizePreset && !settings.randomizeIntensity) {
+            alert('Choose at least one condition to randomize.');
+            return;
+        }
+        if (!settings.question.trim()) {
+            alert('Enter the question to ask the observer.');
+            return;
+        }
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+        
+        this.closeSettings();
+        this.closeFilterEditor();
+        this.setComparisonMode('off');
+        
+        this.experiment = {
+            settings,
+            // Restored when the experiment ends
+            savedState: this.getViewerState(),
+            conditions: createTrialConditions(settings, this.getViewerState(), SCREEN_PRESETS.map(preset => preset.id)),
+            trials: [],
+            index: 0,
+            shownAt: null,
+            startedAt: new Date().toISOString(),
+            exported: false
+        };
+        // Trial conditions aren't the user's look - don't remember them
+        this.viewerStateReady = false;
+        this.viewer.classList.add('experiment-active');
+        this.showTrialReady();
+    }
+    
+    showTrialReady() {
+        const { index, conditions } = this.experiment;
+        this.trialHeading.textContent = `Trial ${index + 1} of ${conditions.length}`;
+        this.trialText.textContent = 'Hand the device to the observer. Tap Begin when they are ready to look.';
+        this.trialAnswers.replaceChildren();
+        this.trialBeginBtn.classList.remove('hidden');
+        this.trialResults.classList.add('hidden');
+        this.trialBar.classList.add('hidden');
+        this.trialPanel.classList.remove('hidden');
+    }
+    
+    /**
+     * Apply the trial's hidden condition - the panel still covers the
+     * view while it changes
+     */
+    beginTrial() {
+        const { index, conditions } = this.experiment;
+        const condition = conditions[index];
+        
+        this.applyViewerState({ ...this.getViewerState(), ...condition });
+        this.experiment.shownAt = Date.now();
+        
+        this.trialProgress.textContent = `Trial ${index + 1} of ${conditions.length}`;
+        this.trialPanel.classList.add('hidden');
+        this.trialBar.classList.remove('hidden');
+    }
+    
+    askTrialQuestion() {
+        const { settings } = this.experiment;
+        const answers = (TRIAL_ANSWER_TYPES[settings.answerType] || TRIAL_ANSWER_TYPES.yesno).answers;
+        
+        this.trialHeading.textContent = `Trial ${this.experiment.index + 1} of ${this.experiment.conditions.length}`;
+        this.trialText.textContent = settings.question;
+        this.trialAnswers.replaceChildren(...answers.map(answer => {
+            const button = document.createElement('button');
+            button.className = 'trial-answer';
+            button.textContent = answer;
+            button.addEventListener('click', () => this.recordTrialAnswer(answer));
+            return button;
+        }));
+        this.trialBeginBtn.classList.add('hidden');
+        this.trialBar.classList.add('hidden');
+        this.trialPanel.classList.remove('hidden');
+    }
+    
+    recordTrialAnswer(response) {
+        const experiment = this.experiment;
+        const condition = experiment.conditions[experiment.index];
+        const preset = this.getAllPresets().find(entry => entry.id === condition.presetId);
+        const answeredAt = Date.now();
+        
+        experiment.trials.push({
+            trial: experiment.index + 1,
+            filterEnabled: condition.filterEnabled,
+            presetId: condition.presetId,
+            presetName: preset ? preset.name : condition.presetId,
+            intensity: condition.intensity,
+            question: experiment.settings.question,
+            response,
+            shownAt: new Date(experiment.shownAt).toISOString(),
+            answeredAt: new Date(answeredAt).toISOString(),
+            viewSeconds: Math.round((answeredAt - experiment.shownAt) / 100) / 10
+        });
+        
+        experiment.index++;
+        if (experiment.index < experiment.conditions.length) {
+            this.showTrialReady();
+        } else {
+            this.finishExperiment();
+        }
+    }
+    
+    finishExperiment() {
+        const { trials, conditions } = this.experiment;
+        this.experiment.completedAt = new Date().toISOString();
+        
+        this.trialHeading.textContent = 'Experiment Complete';
+        this.trialText.textContent = `${trials.length} of ${conditions.length} trials answered. Export the log to see the hidden conditions.`;
+        this.trialAnswers.replaceChildren();
+        this.trialBeginBtn.classList.add('hidden');
+        this.trialResults.classList.remove('hidden');
+        this.trialBar.classList.add('hidden');
+        this.trialPanel.classList.remove('hidden');
+    }
+    
+    exportTrialLog(format) {
+        const experiment = this.experiment;
+        const stamp = experiment.startedAt.slice(0, 19).replace('T', '-').replace(/:/g, '');
+        
+        if (format === 'csv') {
+            const blob = new Blob([formatTrialLogCsv(experiment.trials)], { type: 'text/csv' });
+            this.downloadBlob(blob, `dicyanin-trials-${stamp}.csv`);
+            experiment.exported = true;
+            return;
+        }
+        
+        const { settings } = experiment;
+        const log = {
+            app: IMAGE_METADATA_KEY,
+            version: APP_VERSION,
+            startedAt: experiment.startedAt,
+            completedAt: experiment.completedAt,
+            question: settings.question,
+            answers: (TRIAL_ANSWER_TYPES[settings.answerType] || TRIAL_ANSWER_TYPES.yesno).answers,
+            randomized: {
+                filter: settings.randomizeFilter,
+                preset: settings.randomizePreset,
+                intensity: settings.randomizeIntensity
+            },
+            plannedTrials: experiment.conditions.length,
+            trials: experiment.trials
+        };
+        const blob = new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, `dicyanin-trials-${stamp}.json`);
+        experiment.exported = true;
+    }
+    
+    closeExperiment() {
+        const { trials, exported } = this.experiment;
+        if (trials.length && !exported && !confirm('Close without exporting? The trial log will be lost.')) return;
+        
+        const { savedState } = this.experiment;
+        this.experiment = null;
+        this.trialPanel.classList.add('hidden');
+        this.trialBar.classList.add('hidden');
+        this.viewer.classList.remove('experiment-active');
+        
+        this.applyViewerState(savedState);
+        this.viewerStateReady = true;
+    }
+    
+    // ==================== FILE IMPORT ====================
+    
+    /**
+     * Run a local photo or video through the filter pipeline instead of
+     * the camera - for archival footage, or machines without a camera
+     */
+    async openMediaFile(file) {
+        const isImage = file.type.startsWith('image/');
+        const isVideo = file.type.startsWith('video/');
+        if (!isImage && !isVideo) {
+            alert('Please choose a photo or video file.');
+            return;
+        }
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+        
+        this.stopCameraStream();
+        this.releaseImportedFile();
+        this.importedFileUrl = URL.createObjectURL(file);
+        
+        try {
+            if (isImage) {
+                const image = new Image();
+                image.src = this.importedFileUrl;
+                await image.decode();
+                
+                this.video.pause();
+                this.sourceImage = image;
+                this.sourceType = 'image';
+                this.onSourceReady(file.name);
+                await this.restoreImageSettings(file);
+            } else {
+                this.sourceType = 'video';
+                this.video.srcObject = null;
+                this.video.loop = true;
+                this.video.src = this.importedFileUrl;
+                
+                this.video.onloadedmetadata = () => {
+                    this.video.play();
+                    this.onSourceReady(file.name);
+                };
+                this.video.onerror = () => {
+                    this.video.onerror = null;
+                    alert('This video format is not supported by your browser.');
+                    this.returnToCamera();
+                };
+            }
+        } catch (error) {
+            console.error('Import error:', error);
+            alert('Could not open this file. Please try another one.');
+            this.returnToCamera();
+        }
+    }
+    
+    /**
+     * Photos exported by the viewer carry the settings they were taken
+     * with - offer to switch to them
+     */
+    async restoreImageSettings(file) {
+        let metadata = null;
+        try {
+            metadata = readImageMetadata(new Uint8Array(await file.arrayBuffer()));
+        } catch (error) {
+            console.warn('Could not read image metadata:', error.message);
+        }
+        if (!metadata || !metadata.filter) return;
+        
+        const summary = describeImageMetadata(metadata);
+        if (!confirm(`This photo was taken with Dicyanin Viewer (${summary}). Apply its settings?`)) return;
+        
+        // Only built-in ids mean the same filter everywhere - custom and
+        // session ids are reused, so anything else uses the embedded filter
+        const builtIn = SCREEN_PRESETS.some(preset => preset.id === metadata.presetId);
+        
+        this.applyViewerState({
+            ...this.getViewerState(),
+            intensity: metadata.intensity,
+            filterEnabled: metadata.filterEnabled,
+            presetId: builtIn ? metadata.presetId : null,
+            customFilter: {
+                name: typeof metadata.preset === 'string' && metadata.preset ? metadata.preset : 'Photo filter',
+                filter: metadata.filter
+            }
+        });
+        this.persistViewerState();
+        this.showToast('Photo settings applied', 'success');
+    }
+    
+    onSourceReady(fileName) {
+        this.sourceName.textContent = fileName;
+        this.exportVideoBtn.classList.toggle('hidden', this.sourceType !== 'video');
+        this.sourceBar.classList.remove('hidden');
+        
+        this.handleResize();
+        this.showViewer();
+        this.startProcessing();
+    }
+    
+    releaseImportedFile() {
+        this.sourceType = 'camera';
+        this.sourceImage = null;
+        this.sourceBar.classList.add('hidden');
+        this.video.onerror = null;
+        this.video.onended = null;
+        this.video.loop = false;
+        
+        if (this.importedFileUrl) {
+            this.video.removeAttribute('src');
+            this.video.load();
+            URL.revokeObjectURL(this.importedFileUrl);
+            this.importedFileUrl = null;
+        }
+    }
+    
+    async returnToCamera() {
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+        this.isExportingVideo = false;
+        await this.startCamera();
+    }
+    
+    /**
+     * Play the imported video once from the start and record the
+     * filtered canvas until it ends
+     */
+    async exportImportedVideo() {
+        if (this.sourceType !== 'video' || this.isRecording || this.isStartingRecording) return;
+        
+        this.video.pause();
+        this.video.loop = false;
+        this.video.currentTime = 0;
+        await new Promise(resolve => {
+            this.video.addEventListener('seeked', resolve, { once: true });
+        });
+        
+        // The export runs as long as the file does, not the camera limit,
+        // and carries only the file's picture - never room audio
+        await this.startRecording(Infinity, { microphone: false });
+        if (!this.isRecording) {
+            this.video.loop = true;
+            this.video.play();
+            return;
+        }
+        
+        this.isExportingVideo = true;
+        this.exportVideoBtn.disabled = true;
+        
+        this.video.onended = () => this.finishVideoExport();
+        this.video.play();
+    }
+    
+    finishVideoExport() {
+        this.isExportingVideo = false;
+        this.exportVideoBtn.disabled = false;
+        this.video.onended = null;
+        
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+        
+        if (this.sourceType === 'video') {
+            this.video.loop = true;
+            this.video.play();
+        }
+    }
+    
+    // ==================== TEST PATTERNS ====================
+    
+    /**
+     * Feed a synthetic pattern through the camera's own path - a canvas
+     * stream in the <video> - so filtering, capture, recording, long
+     * exposures and sharing all run unchanged
+     */
+    startTestPattern(id) {
+        const pattern = TEST_PATTERNS[id];
+        const canvas = document.createElement('canvas');
+        if (!pattern || !canvas.captureStream) {
+            alert('Test patterns are not supported in this browser.');
+            return;
+        }
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+        
+        this.stopCameraStream();
+        this.releaseImportedFile();
+        
+        canvas.width = TEST_PATTERN_WIDTH;
+        canvas.height = TEST_PATTERN_HEIGHT;
+        const ctx = canvas.getContext('2d');
+        const start = performance.now();
+        // Static patterns are redrawn too, so the stream keeps delivering frames
+        const draw = () => pattern.draw(ctx, canvas.width, canvas.height, (performance.now() - start) / 1000);
+        draw();
+        
+        this.testPattern = { id, interval: setInterval(draw, 1000 / TEST_PATTERN_FRAME_RATE) };
+        this.sourceType = 'pattern';
+        this.stream = canvas.captureStream(TEST_PATTERN_FRAME_RATE);
+        this.video.srcObject = this.stream;
+        this.video.onloadedmetadata = () => {
+            this.video.play();
+            this.onSourceReady(`Test pattern: ${pattern.label}`);
+            if (!this.cameraModal.classList.contains('hidden')) {
+                this.syncCameraControls();
+            }
+        };
+    }
+    
+    stopTestPattern() {
+        if (!this.testPattern) return;
+        clearInterval(this.testPattern.interval);
+        this.testPattern = null;
+    }
+    
+    // ==================== IMAGE CAPTURE ====================
+    
+    captureImage() {
+        // Re-render synchronously at full resolution - the live view may be
+        // scaled down, and the worker's filtered region lags a frame behind
+        const liveScale = this.renderScale;
+        if (liveScale < 1 || this.filterWorker) {
+            this.setRenderScale(1);
+            this.renderFrame(performance.now(), true, true);
+        }
+        
+        this.captureCanvas.width = this.canvas.width;
+        this.captureCanvas.height = this.canvas.height;
+        
+        // Copy current frame
+        this.captureCtx.drawImage(this.canvas, 0, 0);
+        this.setRenderScale(liveScale);
+        
+        // Add watermark
+        this.addWatermark(this.captureCtx, this.captureCanvas.width, this.captureCanvas.height);
+        
+        this.presentCapture();
+    }
+    
+    /**
+     * Encode and store what's on the capture canvas and show it in the
+     * capture modal. extra is added to the photo metadata and gallery record.
+     */
+    presentCapture(extra = {}) {
+        // Generate blob immediately. Another capture may start before it's
+        // ready, so everything it needs is taken now and the token tells
+        // whether the modal still shows this one.
+        const token = ++this.captureToken;
+        const metadata = { ...this.getImageMetadata(), ...extra };
+        const capture = this.describeCapture(this.captureCanvas);
+        this.captureMetadata = metadata;
+        this.currentImageBlob = null;
+        this.encodeCapture(metadata).then(blob => {
+            if (token === this.captureToken) this.currentImageBlob = blob;
+            return this.storeCapture('image', blob, capture, extra);
+        }).catch(error => {
+            console.error('Capture encode error:', error);
+        });
+        
+        // Show modal
+        this.captureModal.classList.remove('hidden');
+    }
+    
+    /**
+     * Settings recorded in every exported photo
+     */
+    getImageMetadata() {
+        const preset = this.getActivePreset();
+        return {
+            app: IMAGE_METADATA_KEY,
+            version: APP_VERSION,
+            preset: preset.name,
+            presetId: preset.id,
+            filter: createFilterDefinition(this.getFilterCoefficients()),
+            intensity: this.intensity,
+            filterEnabled: this.filterEnabled,
+            timestamp: new Date().toISOString(),
+            camera: this.sourceType === 'camera'
+                ? (this.videoTrack && this.videoTrack.label) || ''
+                : this.sourceName.textContent
+        };
+    }
+    
+    /**
+     * Encode the capture canvas in the chosen photo format, with the
+     * given capture settings embedded
+     */
+    async encodeCapture(metadata) {
+        const format = PHOTO_FORMATS[this.photoSettings.format] || PHOTO_FORMATS.png;
+        const { width, height } = this.captureCanvas;
+        const blob = await new Promise(resolve => {
+            this.captureCanvas.toBlob(resolve, format.type, this.photoSettings.quality);
+        });
+        if (!blob || !metadata) return blob;
+        
+        try {
+            // The browser may have fallen back to another format - tag what it produced
+            const bytes = embedImageMetadata(
+                new Uint8Array(await blob.arrayBuffer()), blob.type, metadata, width, height
+            );
+            return new Blob([bytes], { type: blob.type });
+        } catch (error) {
+            console.warn('Could not embed image metadata:', error);
+            return blob;
+        }
+    }
+    
+    /**
+     * Draw the watermark template from watermarkSettings.
+     * Every output path (photos, recordings, exports) goes through here.
+     */
+    addWatermark(ctx, width, height) {
+        const settings = this.watermarkSettings;
+        if (!settings.enabled) return;
+        
+        const caption = settings.caption.trim();
+        const lines = this.getWatermarkLines();
+        
+        ctx.save();
+        ctx.globalAlpha = settings.opacity;
+        
+        switch (settings.position) {
+            case 'top':
+                this.drawWatermarkBar(ctx, width, height, 'top', caption, lines);
+                break;
+            case 'bottom':
+                this.drawWatermarkBar(ctx, width, height, 'bottom', caption, lines);
+                break;
+            case 'corner':
+                this.drawWatermarkCorner(ctx, width, height, caption, lines);
+                break;
+            default:
+                // Classic branding - caption bar on top, site and details on the bottom
+                this.drawWatermarkBar(ctx, width, height, 'top', caption, []);
+                this.drawWatermarkBar(ctx, width, height, 'bottom', '', lines);
+        }
+        
+        ctx.restore();
+    }
+    
+    getWatermarkLines() {
+        const settings = this.watermarkSettings;
+        const details = [];
+        
+        if (settings.showTimestamp) {
+            details.push(new Date().toLocaleString());
+        }
+        if (settings.showPreset) {
+            details.push(this.getActivePreset().name);
+        }
+        
+        const lines = details.length ? [details.join('  •  ')] : [];
+        lines.push(WATERMARK_URL);
+        return lines;
+    }
+    
+    drawWatermarkBar(ctx, width, height, edge, caption, lines) {
+        const captionSize = Math.max(16, width / 30);
+        const smallFontSize = Math.max(12, width / 45);
+        const contentHeight = (caption ? captionSize * 1.4 : 0) + lines.length * smallFontSize * 1.5;
+        if (!contentHeight) return;
+        
+        const minHeight = edge === 'top' ? Math.max(60, height * 0.06) : Math.max(50, height * 0.05);
+        const barHeight = Math.max(minHeight, contentHeight + smallFontSize);
+        const barY = edge === 'top' ? 0 : height - barHeight;
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        ctx.fillRect(0, barY, width, barHeight);
+        
+        // Border glow on the edge facing the image
+        if (edge === 'top') {
+            const topGradient = ctx.createLinearGradient(0, barHeight - 2, 0, barHeight);
+            topGradient.addColorStop(0, 'rgba(74, 58, 255, 0.8)');
+            topGradient.addColorStop(1, 'rgba(74, 58, 255, 0)');
+            ctx.fillStyle = topGradient;
+            ctx.fillRect(0, barHeight - 2, width, 4);
+        } else {
+            const bottomGradient = ctx.createLinearGradient(0, barY, 0, barY + 2);
+            bottomGradient.addColorStop(0, 'rgba(74, 58, 255, 0)');
+            bottomGradient.addColorStop(1, 'rgba(74, 58, 255, 0.8)');
+            ctx.fillStyle = bottomGradient;
+            ctx.fillRect(0, barY - 2, width, 4);
+        }
+        
+        let y = barY + (barHeight - contentHeight) / 2;
+        if (caption) {
+            this.drawWatermarkCaption(ctx, caption, width / 2, y + captionSize * 0.7, captionSize);
+            y += captionSize * 1.4;
+        }
+        lines.forEach(line => {
+            this.drawWatermarkText(ctx, line, width / 2, y + smallFontSize * 0.75, smallFontSize);
+            y += smallFontSize * 1.5;
+        });
+    }
+    
+    drawWatermarkCorner(ctx, width, height, caption, lines) {
+        const captionSize = Math.max(14, width / 45);
+        const smallFontSize = Math.max(10, width / 65);
+        const padding = smallFontSize;
+        const margin = Math.max(12, width * 0.02);
+        
+        ctx.font = `bold ${captionSize}px -apple-system, BlinkMacSystemFont, sans-serif`;
+        let textWidth = caption ? ctx.measureText(caption).width : 0;
+        ctx.font = `600 ${smallFontSize}px -apple-system, BlinkMacSystemFont, sans-serif`;
+        lines.forEach(line => {
+            textWidth = Math.max(textWidth, ctx.measureText(line).width);
+        });
+        
+        const boxWidth = textWidth + padding * 2;
+        const boxHeight = (caption ? captionSize * 1.4 : 0) + lines.length * smallFontSize * 1.5 + padding;
+        const boxX = width - boxWidth - margin;
+        const boxY = height - boxHeight - margin;
+        const radius = Math.min(12, padding);
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.strokeStyle = 'rgba(74, 58, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(boxX + radius, boxY);
+        ctx.arcTo(boxX + boxWidth, boxY, boxX + boxWidth, boxY + boxHeight, radius);
+        ctx.arcTo(boxX + boxWidth, boxY + boxHeight, boxX, boxY + boxHeight, radius);
+        ctx.arcTo(boxX, boxY + boxHeight, boxX, boxY, radius);
+        ctx.arcTo(boxX, boxY, boxX + boxWidth, boxY, radius);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        const centerX = boxX + boxWidth / 2;
+        let y = boxY + padding / 2;
+        if (caption) {
+            this.drawWatermarkCaption(ctx, caption, centerX, y + captionSize * 0.7, captionSize);
+            y += captionSize * 1.4;
+        }
+        lines.forEach(line => {
+            this.drawWatermarkText(ctx, line, centerX, y + smallFontSize * 0.75, smallFontSize);
+            y += smallFontSize * 1.5;
+        });
+    }
+    
+    drawWatermarkCaption(ctx, text, x, y, fontSize) {
+        ctx.font = `bold ${fontSize}px -apple-system, BlinkMacSystemFont, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.shadowColor = 'rgba(74, 58, 255, 0.8)';
+        ctx.shadowBlur = 10;
+        ctx.fillStyle = '#8b7aff';
+        ctx.fillText(text, x, y);
+        ctx.shadowBlur = 0;
+    }
+    
+    drawWatermarkText(ctx, text, x, y, fontSize) {
+        ctx.font = `600 ${fontSize}px -apple-system, BlinkMacSystemFont, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillText(text, x, y);
+    }
+    
+    closeModal() {
+        this.captureModal.classList.add('hidden');
+    }
+    
+    /**
+     * Save image - uses native share sheet on mobile (best way to save to camera roll)
+     */
+    async saveImage() {
+        try {
+            let blob = this.currentImageBlob;
+            if (!blob) {
+                blob = await this.encodeCapture(this.captureMetadata);
+            }
+            
+            if (!blob) {
+                alert('Could not generate image. Please try again.');
+                return;
+            }
+            
+            const result = await this.saveBlob(blob, `dicyanin-scan-${Date.now()}.${this.getImageExtension(blob)}`);
+            if (!result) return;
+            
+            this.closeModal();
+            this.showToast(result === 'saved' ? 'Image saved to camera roll!' : 'Image downloaded!');
+            
+        } catch (error) {
+            console.error('Save error:', error);
+            alert('Failed to save image. Please try again.');
+        }
+    }
+    
+    /**
+     * Share image - opens native share sheet
+     * Note: X/Twitter web intents DO NOT support image upload
+     * The only way to share with media is via native share sheet
+     */
+    async shareImage() {
+        try {
+            let blob = this.currentImageBlob;
+            if (!blob) {
+                blob = await this.encodeCapture(this.captureMetadata);
+            }
+            
+            if (!blob) {
+                this.shareApp();
+                return;
+            }
+            
+            const result = await this.shareBlob(blob, `dicyanin-scan.${this.getImageExtension(blob)}`);
+            if (result === 'shared') {
+                this.closeModal();
+                this.showToast('Image shared!');
+            } else if (result === 'unsupported') {
+                // Fallback: save image then show instructions
+                await this.saveImage();
+            }
+            
+        } catch (error) {
+            console.error('Share error:', error);
+            this.shareApp();
+        }
+    }
+    
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Save a file - native share sheet on mobile (the only reliable way
+     * into the camera roll, especially for video on iOS), direct download
+     * elsewhere. Resolves to 'saved', 'downloaded', or null if cancelled.
+     */
+    async saveBlob(blob, filename) {
+        const file = new File([blob], filename, { type: blob.type });
+        
+        if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
+            try {
+                await navigator.share({ files: [file] });
+                return 'saved';
+            } catch (err) {
+                if (err.name === 'AbortError') return null; // User cancelled
+                console.log('Share failed, trying fallback');
+            }
+        }
+        
+        this.downloadBlob(blob, filename);
+        return 'downloaded';
+    }
+    
+    /**
+     * Share a file with the app link through the native share sheet.
+     * Note: X/Twitter web intents DO NOT support media upload - the
+     * share sheet is the only way. Resolves to 'shared', 'cancelled',
+     * or 'unsupported' (callers fall back to saving).
+     */
+    async shareBlob(blob, filename) {
+        const file = new File([blob], filename, { type: blob.type });
+        
+        if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
+            try {
+                await navigator.share({
+                    files: [file],
+                    title: 'Dicyanin Filter Scan',
+                    text: 'DICYANIN FILTER ACTIVATED - See what others cannot. What do you see?\n' + this.getShareUrl()
+                });
+                return 'shared';
+            } catch (err) {
+                if (err.name === 'AbortError') return 'cancelled';
+            }
+        }
+        return 'unsupported';
+    }
+    
+    // ==================== LONG EXPOSURE ====================
+    
+    bindStackSettings() {
+        STACK_FRAME_COUNTS.forEach(count => {
+            this.stackFramesSelect.add(new Option(`${count} frames`, count));
+        });
+        Object.entries(STACK_MODES).forEach(([id, label]) => {
+            this.stackModeSelect.add(new Option(label, id));
+        });
+        this.stackFramesSelect.value = this.stackSettings.frames;
+        this.stackModeSelect.value = this.stackSettings.mode;
+        this.stackAlignInput.checked = this.stackSettings.align;
+        
+        const update = () => {
+            this.stackSettings = {
+                frames: Number(this.stackFramesSelect.value),
+                mode: this.stackModeSelect.value,
+                align: this.stackAlignInput.checked
+            };
+            this.saveStoredSettings(STORAGE_KEYS.stack, this.stackSettings);
+        };
+        [this.stackFramesSelect, this.stackModeSelect, this.stackAlignInput]
+            .forEach(input => input.addEventListener('change', update));
+        
+        this.stackBtn.addEventListener('click', () => this.startStack());
+        this.stackCancelBtn.addEventListener('click', () => this.cancelStack());
+    }
+    
+    /**
+     * Collect raw source frames at up to STACK_MAX_WIDTH, one per new
+     * video frame, then combine and filter them in finishStack
+     */
+    startStack() {
+        if (this.stack) return;
+        if (this.isRecording) {
+            alert('Stop recording before taking a long exposure.');
+            return;
+        }
+        
+        const source = this.getSourceSize();
+        if (!source.width || !source.height) return;
+        
+        const settings = { ...this.stackSettings };
+        const median = settings.mode === 'median';
+        const frames = median ? Math.min(settings.frames, STACK_MEDIAN_MAX_FRAMES) : settings.frames;
+        const scale = Math.min(1, (median ? STACK_MEDIAN_MAX_WIDTH : STACK_MAX_WIDTH) / source.width);
+        const width = Math.round(source.width * scale);
+        const height = Math.round(source.height * scale);
+        const values = width * height * 3;
+        
+        this.stackCanvas.width = width;
+        this.stackCanvas.height = height;
+        this.stack = {
+            settings,
+            frames,
+            width,
+            height,
+            sourceWidth: source.width,
+            sourceHeight: source.height,
+            count: 0,
+            // mean: running sums, max: running maxima, median: every frame
+            sum: settings.mode === 'mean' ? new Float32Array(values) : null,
+            max: settings.mode === 'max' ? new Uint8Array(values) : null,
+            samples: median ? [] : null,
+            reference: null
+        };
+        
+        this.closeCameraSettings();
+        this.stackIndicator.classList.remove('hidden');
+        this.updateStackProgress();
+        this.scheduleStackFrame(this.stack);
+    }
+    
+    scheduleStackFrame(stack) {
+        if (this.sourceType !== 'image' && this.video.requestVideoFrameCallback) {
+            this.video.requestVideoFrameCallback(() => this.addStackFrame(stack));
+        } else {
+            setTimeout(() => this.addStackFrame(stack), STACK_FRAME_INTERVAL_MS);
+        }
+    }
+    
+    addStackFrame(stack) {
+        // Cancelled, or a newer stack has started since this was scheduled
+        if (this.stack !== stack) return;
+        
+        // The camera was flipped or the source changed mid-stack
+        const source = this.getSourceSize();
+        if (source.width !== stack.sourceWidth || source.height !== stack.sourceHeight) {
+            this.cancelStack();
+            this.showToast('Source changed - long exposure cancelled', 'info');
+            return;
+        }
+        
+        const { width, height } = stack;
+        this.stackCtx.drawImage(this.getFrameSource(), 0, 0, width, height);
+        const pixels = this.stackCtx.getImageData(0, 0, width, height).data;
+        
+        let dx = 0;
+        let dy = 0;
+        if (stack.settings.align) {
+            const small = downsampleLuma(pixels, width, height, Math.min(STACK_ALIGN_WIDTH, width));
+            if (!stack.reference) {
+                stack.reference = small;
+            } else {
+                const shift = estimateFrameShift(stack.reference.luma, small.luma, small.width, small.height, STACK_ALIGN_RADIUS);
+                dx = Math.round(shift.dx * width / small.width);
+                dy = Math.round(shift.dy * height / small.height);
+            }
+        }
+        
+        this.accumulateStackFrame(stack, pixels, dx, dy);
+        stack.count++;
+        this.updateStackProgress();
+        
+        if (stack.count < stack.frames) {
+            this.scheduleStackFrame(stack);
+        } else {
+            this.finishStack();
+        }
+    }
+    
+    /**
+     * Add a frame, sampled at (x + dx, y + dy) so it lines up with the
+     * first one - edges that shifted out of view repeat the border pixel
+     */
+    accumulateStackFrame(stack, pixels, dx, dy) {
+        const { width, height, sum, max } = stack;
+        const sample = stack.samples ? new Uint8Array(width * height * 3) : null;
+        
+        for (let y = 0; y < height; y++) {
+            const sy = Math.min(height - 1, Math.max(0, y + dy));
+            for (let x = 0; x < width; x++) {
+                const sx = Math.min(width - 1, Math.max(0, x + dx));
+                const from = (sy * width + sx) * 4;
+                const to = (y * width + x) * 3;
+                for (let c = 0; c < 3; c++) {
+                    const value = pixels[from + c];
+                    if (sum) {
+                        sum[to + c] += value;
+                    } else if (max) {
+                        if (value > max[to + c]) max[to + c] = value;
+                    } else {
+                        sample[to + c] = value;
+                    }
+                }
+            }
+        }
+        
+        if (sample) stack.samples.push(sample);
+    }
+    
+    /**
+     * Combine the frames, filter the result like the live view, and hand
+     * it to the capture modal
+     */
+    async finishStack() {
+        const stack = this.stack;
+        const { width, height, count, sum, max, samples } = stack;
+        const output = new ImageData(width, height);
+        const data = output.data;
+        
+        if (samples) {
+            this.stackProgressText.textContent = 'Combining…';
+            const values = new Uint8Array(count);
+            const middle = count >> 1;
+            for (let y = 0; y < height; y++) {
+                for (let i = y * width * 3, end = i + width * 3; i < end; i++) {
+                    for (let k = 0; k < count; k++) values[k] = samples[k][i];
+                    values.sort();
+                    const median = count % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+                    data[(i / 3 | 0) * 4 + i % 3] = median;
+                }
+                // Let the progress text paint on long medians
+                if (y % 64 === 63) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (this.stack !== stack) return;
+                }
+            }
+        } else {
+            for (let i = 0, o = 0; i < width * height * 3; i += 3, o += 4) {
+                data[o] = sum ? sum[i] / count : max[i];
+                data[o + 1] = sum ? sum[i + 1] / count : max[i + 1];
+                data[o + 2] = sum ? sum[i + 2] / count : max[i + 2];
+            }
+        }
+        for (let o = 3; o < data.length; o += 4) data[o] = 255;
+        
+        if (this.filterEnabled && this.intensity > 0) {
+            filterPixels(data, this.getFilterCoefficients().matrix, this.getFilterLut(), this.intensity);
+        }
+        
+        this.stack = null;
+        this.stackIndicator.classList.add('hidden');
+        
+        this.captureCanvas.width = width;
+        this.captureCanvas.height = height;
+        this.captureCtx.putImageData(output, 0, 0);
+        this.addWatermark(this.captureCtx, width, height);
+        this.presentCapture({
+            stack: { mode: stack.settings.mode, frames: count, aligned: stack.settings.align }
+        });
+    }
+    
+    updateStackProgress() {
+        const { count, frames } = this.stack;
+        this.stackProgressText.textContent = `${count} / ${frames}`;
+        this.stackProgressFill.style.width = `${Math.round(count / frames * 100)}%`;
+    }
+    
+    cancelStack() {
+        this.stack = null;
+        this.stackIndicator.classList.add('hidden');
+    }
+    
+    // ==================== VIDEO RECORDING ====================
+    
+    toggleRecording() {
+        if (this.isStartingRecording) return;
+        if (this.isRecording) {
+            this.stopRecording();
+        } else {
+            this.startRecording();
+        }
+    }
+    
+    /**
+     * options.microphone: false keeps narration out (file exports).
+     * Narration is only ever added to camera recordings.
+     */
+    async startRecording(maxDuration = this.maxRecordingDuration, options = {}) {
+        if (this.isRecording || this.isStartingRecording) return;
+        this.isStartingRecording = true;
+        
+        let microphone = null;
+        try {
+            // Narration is asked for before the canvas is sized, so a
+            // permission prompt doesn't cost the first frames
+            const source = this.sourceType;
+            const withMicrophone = options.microphone !== false &&
+                this.recordingSettings.microphone && source === 'camera';
+            microphone = withMicrophone ? await this.openMicrophone() : null;
+            // Abandoned - the source changed while the prompt was open
+            if (this.sourceType !== source) {
+                stopMediaStream(microphone);
+                return;
+            }
+            
+            this.prepareRecordingCanvas();
+            
+            // Get canvas stream - lower framerate for better performance
+            const canvasStream = this.recordCanvas.captureStream(24); // 24 FPS is smoother than 30
+            if (microphone) {
+                microphone.getAudioTracks().forEach(track => canvasStream.addTrack(track));
+            }
+            
+            // Get the correct mime type - iOS ONLY supports MP4
+            const mimeType = this.getRecordingMimeType(!!microphone);
+            if (!mimeType) {
+                stopMediaStream(microphone);
+                alert('Video recording is not supported on this browser.');
+                return;
+            }
+            
+            const recorderOptions = { mimeType };
+            
+            // Optimize bitrate for smoother playback
+            // Lower bitrate = smaller file = smoother playback on mobile
+            if (this.isIOS) {
+                recorderOptions.videoBitsPerSecond = 1500000; // 1.5 Mbps - optimized for iOS playback
+            } else if (this.isAndroid) {
+                recorderOptions.videoBitsPerSecond = 2000000; // 2 Mbps
+            } else {
+                recorderOptions.videoBitsPerSecond = 4000000; // 4 Mbps for desktop
+            }
+            
+            if (microphone) {
+                recorderOptions.audioBitsPerSecond = 96000;
+            }
+            
+            this.mediaRecorder = new MediaRecorder(canvasStream, recorderOptions);
+            this.recordingMimeType = mimeType;
+            this.recordedChunks = [];
+            
+            this.mediaRecorder.ondataavailable = (event) => {
+                if (event.data.size > 0) {
+                    this.recordedChunks.push(event.data);
+                }
+            };
+            
+            this.mediaRecorder.onstop = () => {
+                this.processRecording();
+            };
+            
+            // Start recording - collect data every 500ms (less frequent = less overhead)
+            this.mediaRecorder.start(500);
+            this.microphoneStream = microphone;
+            this.isRecording = true;
+            this.recordingStartTime = Date.now();
+            this.recordingLimit = maxDuration;
+            this.isRecordingPaused = false;
+            this.recordingPausedAt = null;
+            this.recordingPausedTotal = 0;
+            
+            // Update UI
+            this.recordBtn.classList.add('recording');
+            this.recordBtn.querySelector('span').textContent = 'Stop';
+            this.recordingIndicator.classList.remove('hidden', 'paused');
+            // Exports follow the file's playback, so they can't pause
+            const canPause = typeof this.mediaRecorder.pause === 'function' && Number.isFinite(maxDuration);
+            this.pauseRecordBtn.classList.toggle('hidden', !canPause);
+            this.pauseRecordBtn.textContent = 'Pause';
+            
+            // Start timer
+            this.updateRecordingTimer();
+            this.recordingTimerInterval = setInterval(() => {
+                this.updateRecordingTimer();
+            }, 100);
+            
+            this.scheduleRecordingStop();
+            
+        } catch (error) {
+            console.error('Recording error:', error);
+            stopMediaStream(microphone);
+            alert('Failed to start recording. Please try again.');
+        } finally {
+            this.isStartingRecording = false;
+        }
+    }
+    
+    /**
+     * Microphone narration for the clip - recording carries on silently
+     * when it's refused or missing
+     */
+    async openMicrophone() {
+        try {
+            return await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: true },
+                video: false
+            });
+        } catch (error) {
+            console.warn('Microphone unavailable:', error);
+            this.showToast('Microphone unavailable - recording without sound', 'info');
+            return null;
+        }
+    }
+    
+    closeMicrophone() {
+        stopMediaStream(this.microphoneStream);
+        this.microphoneStream = null;
+    }
+    
+    // Auto-stop when the remaining time runs out (setTimeout treats Infinity as 0)
+    scheduleRecordingStop() {
+        clearTimeout(this.recordingStopTimeout);
+        this.recordingStopTimeout = null;
         
-        this.loadingScreen = document.getElementById('loading-screen');
-        this.viewer = document.getElementById('viewer');
-        this.errorScreen = document.getElementById('error-screen');
+        const remaining = this.recordingLimit - this.getRecordingElapsed();
+        if (Number.isFinite(remaining)) {
+            this.recordingStopTimeout = setTimeout(() => {
+                if (this.isRecording) {
+                    this.stopRecording();
+                }
+            }, Math.max(0, remaining));
+        }
+    }
+    
+    togglePauseRecording() {
+        if (!this.isRecording) return;
         
-        this.intensitySlider = document.getElementById('intensity');
-        this.intensityValue = document.getElementById('intensity-value');
-        this.flipBtn = document.getElementById('flip-btn');
-        this.captureBtn = document.getElementById('capture-btn');
-        this.recordBtn = document.getElementById('record-btn');
-        this.shareBtn = document.getElementById('share-btn');
+        if (this.isRecordingPaused) {
+            this.mediaRecorder.resume();
+            this.recordingPausedTotal += Date.now() - this.recordingPausedAt;
+            this.recordingPausedAt = null;
+            this.isRecordingPaused = false;
+            this.scheduleRecordingStop();
+        } else {
+            this.mediaRecorder.pause();
+            this.recordingPausedAt = Date.now();
+            this.isRecordingPaused = true;
+            clearTimeout(this.recordingStopTimeout);
+            this.recordingStopTimeout = null;
+        }
         
-        this.captureModal = document.getElementById('capture-modal');
-        this.captureCanvas = document.getElementById('capture-canvas');
-        this.captureCtx = this.captureCanvas.getContext('2d');
-        this.closeModalBtn = document.getElementById('close-modal');
-        this.downloadBtn = document.getElementById('download-btn');
-        this.shareCaptureBtn = document.getElementById('share-capture-btn');
+        this.recordingIndicator.classList.toggle('paused', this.isRecordingPaused);
+        this.pauseRecordBtn.textContent = this.isRecordingPaused ? 'Resume' : 'Pause';
+        this.updateRecordingTimer();
+    }
+    
+    /**
+     * Recorded time so far, not counting pauses
+     */
+    getRecordingElapsed() {
+        if (!this.recordingStartTime) return 0;
         
-        this.retryBtn = document.getElementById('retry-btn');
-        this.topBar = document.getElementById('top-bar');
-        this.infoBadge = this.topBar.querySelector('.info-badge');
+        const pausedNow = this.recordingPausedAt ? Date.now() - this.recordingPausedAt : 0;
+        return Date.now() - this.recordingStartTime - this.recordingPausedTotal - pausedNow;
+    }
+    
+    /**
+     * Size the recording canvas and render the watermark overlay ONCE.
+     * Per frame the compositor only does two drawImage blits - drawing
+     * text and gradients every frame is what used to cause recording lag.
+     */
+    prepareRecordingCanvas() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
         
-        // Recording elements
-        this.recordingIndicator = document.getElementById('recording-indicator');
-        this.recordingTime = document.getElementById('recording-time');
+        this.recordCanvas.width = width;
+        this.recordCanvas.height = height;
+        this.watermarkOverlay.width = width;
+        this.watermarkOverlay.height = height;
         
-        // Video preview modal elements
-        this.videoModal = document.getElementById('video-modal');
-        this.videoPreview = document.getElementById('video-preview');
-        this.closeVideoModalBtn = document.getElementById('close-video-modal');
-        this.downloadVideoBtn = document.getElementById('download-video-btn');
-        this.shareVideoBtn = document.getElementById('share-video-btn');
+        const overlayCtx = this.watermarkOverlay.getContext('2d');
+        overlayCtx.clearRect(0, 0, width, height);
+        this.addWatermark(overlayCtx, width, height);
         
-        // State
-        this.stream = null;
-        this.facingMode = 'environment';
-        this.intensity = 0.85;
-        this.isProcessing = false;
-        this.animationId = null;
-        this.filterEnabled = true;
+        // First frame, so the stream never starts blank
+        this.composeRecordingFrame();
+    }
+    
+    composeRecordingFrame() {
+        const width = this.recordCanvas.width;
+        const height = this.recordCanvas.height;
         
-        // Recording state
-        this.isRecording = false;
-        this.mediaRecorder = null;
-        this.recordedChunks = [];
-        this.recordingStartTime = null;
-        this.recordingTimerInterval = null;
-        this.maxRecordingDuration = 30000; // 30 seconds max
-        this.recordedBlob = null;
+        this.recordCtx.drawImage(this.canvas, 0, 0, width, height);
+        this.recordCtx.drawImage(this.watermarkOverlay, 0, 0);
+    }
+    
+    getRecordingMimeType(withAudio = false) {
+        // iOS Safari ONLY supports MP4 with H.264
+        // This is critical for saving to camera roll
+        if (this.isIOS) {
+            if (MediaRecorder.isTypeSupported('video/mp4')) {
+                return 'video/mp4';
+            }
+            return null; // iOS requires MP4
+        }
         
-        // Store blobs
-        this.currentImageBlob = null;
-        this.currentVideoUrl = null;
+        // Other browsers - try formats in order of preference
+        const types = [
+            ...(withAudio ? ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus'] : []),
+            'video/webm;codecs=vp9',
+            'video/webm;codecs=vp8',
+            'video/webm',
+            'video/mp4'
+        ];
+        
+        for (const type of types) {
+            if (MediaRecorder.isTypeSupported(type)) {
+                return type;
+            }
+        }
+        return null;
+    }
+    
+    stopRecording() {
+        if (this.mediaRecorder && this.isRecording) {
+            // Close a pause first, so the clip's duration counts it out
+            if (this.isRecordingPaused) {
+                this.recordingPausedTotal += Date.now() - this.recordingPausedAt;
+                this.recordingPausedAt = null;
+                this.isRecordingPaused = false;
+            }
+            this.recordingDuration = this.getRecordingElapsed();
+            this.mediaRecorder.stop();
+            this.isRecording = false;
+            this.closeMicrophone();
+            
+            // Update UI
+            this.recordBtn.classList.remove('recording');
+            this.recordBtn.querySelector('span').textContent = 'Record';
+            this.recordingIndicator.classList.add('hidden');
+            this.recordingIndicator.classList.remove('paused');
+            
+            // Stop timer
+            if (this.recordingTimerInterval) {
+                clearInterval(this.recordingTimerInterval);
+                this.recordingTimerInterval = null;
+            }
+            if (this.recordingStopTimeout) {
+                clearTimeout(this.recordingStopTimeout);
+                this.recordingStopTimeout = null;
+            }
+            
+            if (this.isExportingVideo) {
+                this.finishVideoExport();
+            }
+        }
+    }
+    
+    updateRecordingTimer() {
+        if (!this.recordingStartTime) return;
         
-        // App URL for sharing
-        this.appUrl = 'https://ghost081280.github.io/dicyanin-viewer/';
+        const elapsed = this.getRecordingElapsed();
+        const seconds = Math.floor(elapsed / 1000);
+        const ms = Math.floor((elapsed % 1000) / 100);
         
-        // Platform detection
-        this.isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
-        this.isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
-        this.isAndroid = /Android/.test(navigator.userAgent);
+        const mins = Math.floor(seconds / 60);
+        const secs = seconds % 60;
         
-        // Toast element
-        this.toast = null;
-        this.createToast();
+        this.recordingTime.textContent = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms}`;
         
-        // Bind methods
-        this.processFrame = this.processFrame.bind(this);
-        this.handleResize = this.handleResize.bind(this);
+        // Clip size so far, and time left against the length limit
+        const bytes = this.recordedChunks.reduce((sum, chunk) => sum + chunk.size, 0);
+        const size = formatBytes(bytes);
+        if (Number.isFinite(this.recordingLimit)) {
+            const left = Math.max(0, Math.ceil((this.recordingLimit - elapsed) / 1000));
+            this.recordingSize.textContent = `${size} · ${Math.floor(left / 60)}:${(left % 60).toString().padStart(2, '0')} left`;
+        } else {
+            this.recordingSize.textContent = size;
+        }
         
-        // Initialize
-        this.init();
-    }
-    
-    createToast() {
-        this.toast = document.createElement('div');
-        this.toast.className = 'toast';
-        this.toast.innerHTML = `
-            <div class="toast-icon">✓</div>
-            <div class="toast-message"></div>
-        `;
-        document.body.appendChild(this.toast);
+        if (elapsed >= this.recordingLimit) {
+            this.stopRecording();
+        }
     }
     
-    showToast(message, type = 'success') {
-        const icon = this.toast.querySelector('.toast-icon');
-        const msg = this.toast.querySelector('.toast-message');
+    async processRecording() {
+        const mimeType = this.recordingMimeType || this.getRecordingMimeType();
+        this.recordedBlob = new Blob(this.recordedChunks, { type: mimeType });
         
-        msg.textContent = message;
+        // Watermark is already burned in by composeRecordingFrame
         
-        if (type === 'success') {
-            icon.textContent = '✓';
-            icon.style.background = 'var(--success, #10b981)';
-        } else if (type === 'info') {
-            icon.textContent = 'ℹ';
-            icon.style.background = 'var(--primary, #4a3aff)';
+        // Clean up old URL
+        if (this.currentVideoUrl) {
+            URL.revokeObjectURL(this.currentVideoUrl);
         }
         
-        this.toast.classList.add('show');
+        // Create preview URL
+        this.currentVideoUrl = URL.createObjectURL(this.recordedBlob);
+        this.videoPreview.src = this.currentVideoUrl;
         
-        setTimeout(() => {
-            this.toast.classList.remove('show');
-        }, 3000);
+        // The record canvas still holds the last frame, watermark included
+        this.storeCapture('video', this.recordedBlob, this.describeCapture(this.recordCanvas), {
+            duration: this.recordingDuration / 1000
+        });
+        
+        // Show modal
+        this.resetLoopExport();
+        this.videoModal.classList.remove('hidden');
     }
     
-    async init() {
-        this.bindEvents();
-        await this.startCamera();
-        window.addEventListener('resize', this.handleResize);
+    closeVideoModal() {
+        this.cancelLoopExport();
+        this.videoModal.classList.add('hidden');
+        this.videoPreview.pause();
     }
     
-    bindEvents() {
-        this.intensitySlider.addEventListener('input', (e) => {
-            this.intensity = e.target.value / 100;
-            this.intensityValue.textContent = `${e.target.value}%`;
-        });
-        
-        this.flipBtn.addEventListener('click', () => this.flipCamera());
-        this.captureBtn.addEventListener('click', () => this.captureImage());
-        this.recordBtn.addEventListener('click', () => this.toggleRecording());
-        this.shareBtn.addEventListener('click', () => this.shareApp());
+    /**
+     * Save video - uses native share sheet on mobile
+     * This is the ONLY reliable way to save video to camera roll on iOS
+     */
+    async saveVideo() {
+        if (!this.recordedBlob) {
+            alert('No video recorded.');
+            return;
+        }
         
-        this.closeModalBtn.addEventListener('click', () => this.closeModal());
-        this.downloadBtn.addEventListener('click', () => this.saveImage());
-        this.shareCaptureBtn.addEventListener('click', () => this.shareImage());
+        try {
+            const filename = `dicyanin-scan-${Date.now()}.${this.getVideoExtension(this.recordedBlob)}`;
+            const result = await this.saveBlob(this.recordedBlob, filename);
+            if (!result) return;
+            
+            this.closeVideoModal();
+            this.showToast(result === 'saved' ? 'Video saved to camera roll!' : 'Video downloaded!');
+            
+        } catch (error) {
+            console.error('Save error:', error);
+            alert('Failed to save video. Please try again.');
+        }
+    }
+    
+    /**
+     * Share video - opens native share sheet
+     */
+    async shareVideo() {
+        if (!this.recordedBlob) {
+            alert('No video recorded.');
+            return;
+        }
         
-        // Video modal events
-        this.closeVideoModalBtn.addEventListener('click', () => this.closeVideoModal());
-        this.downloadVideoBtn.addEventListener('click', () => this.saveVideo());
-        this.shareVideoBtn.addEventListener('click', () => this.shareVideo());
+        try {
+            const filename = `dicyanin-scan.${this.getVideoExtension(this.recordedBlob)}`;
+            const result = await this.shareBlob(this.recordedBlob, filename);
+            if (result === 'shared') {
+                this.closeVideoModal();
+                this.showToast('Video shared!');
+            } else if (result === 'unsupported') {
+                await this.saveVideo();
+            }
+            
+        } catch (error) {
+            console.error('Share error:', error);
+            this.shareApp();
+        }
+    }
+    
+    getVideoExtension(blob) {
+        return blob.type.includes('mp4') ? 'mp4' : 'webm';
+    }
+    
+    getImageExtension(blob) {
+        const format = Object.values(PHOTO_FORMATS).find(entry => entry.type === blob.type);
+        return format ? format.extension : 'png';
+    }
+    
+    // ==================== LOOP EXPORT ====================
+    
+    bindLoopExport() {
+        LOOP_WIDTHS.forEach(width => {
+            const option = document.createElement('option');
+            option.value = width;
+            option.textContent = `${width} px wide`;
+            this.loopSizeSelect.appendChild(option);
+        });
+        LOOP_FRAME_RATES.forEach(frameRate => {
+            const option = document.createElement('option');
+            option.value = frameRate;
+            option.textContent = `${frameRate} fps`;
+            this.loopFrameRateSelect.appendChild(option);
+        });
+        if (!this.canEncodeWebp()) {
+            this.loopFormatSelect.querySelector('option[value="webp"]').disabled = true;
+            if (this.loopSettings.format === 'webp') {
+                this.loopSettings.format = DEFAULT_LOOP_SETTINGS.format;
+            }
+        }
         
-        this.retryBtn.addEventListener('click', () => this.startCamera());
+        this.loopFormatSelect.value = this.loopSettings.format;
+        this.loopSizeSelect.value = this.loopSettings.width;
+        this.loopFrameRateSelect.value = this.loopSettings.frameRate;
+        this.loopPaletteSelect.value = this.loopSettings.palette;
         
-        // Tap canvas to toggle filter
-        this.canvas.addEventListener('click', () => this.toggleFilter());
+        const update = () => {
+            this.loopSettings = {
+                format: this.loopFormatSelect.value,
+                width: Number(this.loopSizeSelect.value),
+                frameRate: Number(this.loopFrameRateSelect.value),
+                palette: this.loopPaletteSelect.value
+            };
+            this.saveStoredSettings(STORAGE_KEYS.loop, this.loopSettings);
+        };
+        [
+            this.loopFormatSelect,
+            this.loopSizeSelect,
+            this.loopFrameRateSelect,
+            this.loopPaletteSelect
+        ].forEach(select => select.addEventListener('change', update));
         
-        // Close modals on backdrop click
-        this.captureModal.addEventListener('click', (e) => {
-            if (e.target === this.captureModal) this.closeModal();
+        // Keep the range at least one step long, and show the frame at the moved handle
+        this.loopStartInput.addEventListener('input', () => {
+            const end = Number(this.loopEndInput.value);
+            if (Number(this.loopStartInput.value) > end - 0.1) {
+                this.loopStartInput.value = Math.max(0, end - 0.1);
+            }
+            this.syncLoopTrim();
+            this.videoPreview.currentTime = Number(this.loopStartInput.value);
         });
-        this.videoModal.addEventListener('click', (e) => {
-            if (e.target === this.videoModal) this.closeVideoModal();
+        this.loopEndInput.addEventListener('input', () => {
+            const start = Number(this.loopStartInput.value);
+            if (Number(this.loopEndInput.value) < start + 0.1) {
+                this.loopEndInput.value = start + 0.1;
+            }
+            this.syncLoopTrim();
+            this.videoPreview.currentTime = Number(this.loopEndInput.value);
         });
+        
+        this.loopExportBtn.addEventListener('click', () => this.exportLoop());
+        this.loopCancelBtn.addEventListener('click', () => this.cancelLoopExport());
+        this.loopSaveBtn.addEventListener('click', () => this.saveLoop());
+        this.loopShareBtn.addEventListener('click', () => this.shareLoop());
     }
     
-    async startCamera() {
+    /**
+     * Fresh trim for a new recording - MediaRecorder WebM often reports
+     * no duration, so the recorded time sets the range
+     */
+    resetLoopExport() {
+        const duration = Math.max(0.1, Math.floor(this.recordingDuration / 100) / 10);
+        this.loopStartInput.max = duration;
+        this.loopEndInput.max = duration;
+        this.loopStartInput.value = 0;
+        this.loopEndInput.value = Math.min(duration, LOOP_DEFAULT_LENGTH);
+        this.syncLoopTrim();
+        
+        this.loopBlob = null;
+        this.loopResult.classList.add('hidden');
+        this.loopProgress.classList.add('hidden');
+        this.loopExportBtn.classList.remove('hidden');
+    }
+    
+    syncLoopTrim() {
+        this.loopStartValue.textContent = `${Number(this.loopStartInput.value).toFixed(1)}s`;
+        this.loopEndValue.textContent = `${Number(this.loopEndInput.value).toFixed(1)}s`;
+    }
+    
+    /**
+     * Step through the trimmed range of the recording, frame by frame,
+     * and encode the frames into a looping GIF or WebP
+     */
+    async exportLoop() {
+        if (!this.currentVideoUrl || this.loopJob) return;
+        
+        const job = { cancelled: false, worker: null, abort: null };
+        this.loopJob = job;
+        const { format, width: targetWidth, frameRate, palette } = this.loopSettings;
+        const start = Number(this.loopStartInput.value);
+        const end = Number(this.loopEndInput.value);
+        const frameCount = Math.max(1, Math.round((end - start) * frameRate));
+        
+        this.videoPreview.pause();
+        this.loopBlob = null;
+        this.loopResult.classList.add('hidden');
+        this.loopExportBtn.classList.add('hidden');
+        this.loopProgress.classList.remove('hidden');
+        this.updateLoopProgress(0, frameCount);
+        
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        
         try {
-            if (this.stream) {
-                this.stream.getTracks().forEach(track => track.stop());
-            }
+            video.src = this.currentVideoUrl;
+            await new Promise((resolve, reject) => {
+                video.onloadeddata = resolve;
+                video.onerror = () => reject(new Error('The recording could not be decoded'));
+            });
             
-            // Use lower resolution on mobile for better performance
-            const isMobile = this.isIOS || this.isAndroid;
-            const constraints = {
-                video: {
-                    facingMode: this.facingMode,
-                    width: { ideal: isMobile ? 1280 : 1920 },
-                    height: { ideal: isMobile ? 720 : 1080 }
-                },
-                audio: false
-            };
+            // Never upscale; even dimensions keep encoders happy
+            const scale = Math.min(1, targetWidth / video.videoWidth);
+            const width = Math.max(2, Math.round(video.videoWidth * scale / 2) * 2);
+            const height = Math.max(2, Math.round(video.videoHeight * scale / 2) * 2);
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
             
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.video.srcObject = this.stream;
+            const encoder = await this.createLoopEncoderClient(job, {
+                format, width, height, palette, frameDelay: 1000 / frameRate
+            });
             
-            this.video.onloadedmetadata = () => {
-                this.video.play();
-                this.handleResize();
-                this.showViewer();
-                this.startProcessing();
-            };
+            for (let i = 0; i < frameCount; i++) {
+                if (job.cancelled) return;
+                
+                await new Promise((resolve, reject) => {
+                    video.onseeked = resolve;
+                    video.onerror = () => reject(new Error('The recording could not be decoded'));
+                    video.currentTime = start + i / frameRate;
+                });
+                ctx.drawImage(video, 0, 0, width, height);
+                await encoder.addFrame(ctx.getImageData(0, 0, width, height).data);
+                this.updateLoopProgress(i + 1, frameCount);
+            }
+            
+            const { bytes, type } = await encoder.finish();
+            if (job.cancelled) return;
+            
+            this.loopBlob = new Blob([bytes], { type });
+            this.loopResultText.textContent = `${frameCount} frames · ${width} × ${height} · ${formatBytes(this.loopBlob.size)}`;
+            this.loopResult.classList.remove('hidden');
             
         } catch (error) {
-            console.error('Camera error:', error);
-            this.showError();
+            if (!job.cancelled) {
+                console.error('Loop export error:', error);
+                alert(`Could not create the loop: ${error.message}`);
+            }
+        } finally {
+            if (job.worker) job.worker.terminate();
+            video.removeAttribute('src');
+            video.load();
+            
+            if (this.loopJob === job) {
+                this.loopJob = null;
+                this.loopProgress.classList.add('hidden');
+                this.loopExportBtn.classList.remove('hidden');
+            }
         }
     }
     
-    handleResize() {
-        this.canvas.width = this.video.videoWidth || 1280;
-        this.canvas.height = this.video.videoHeight || 720;
+    /**
+     * Encoder running in loop-worker.js where workers are available, or
+     * on the page - yielding between frames so the UI keeps updating.
+     * Either way addFrame/finish resolve once the work is done.
+     */
+    async createLoopEncoderClient(job, options) {
+        const useWorker = typeof Worker !== 'undefined' && location.protocol !== 'file:';
+        
+        if (!useWorker) {
+            const encoder = createLoopEncoder(options);
+            return {
+                addFrame: async (pixels) => {
+                    await encoder.addFrame(pixels);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                },
+                finish: async () => encoder.finish()
+            };
+        }
+        
+        job.worker = new Worker('loop-worker.js');
+        const request = (message, transfer = []) => new Promise((resolve, reject) => {
+            job.abort = reject;
+            job.worker.onmessage = (e) => {
+                if (e.data.type === 'error') {
+                    reject(new Error(e.data.message));
+                } else {
+                    resolve(e.data);
+                }
+            };
+            job.worker.onerror = (e) => reject(new Error(e.message || 'Loop encoder failed'));
+            job.worker.postMessage(message, transfer);
+        });
+        
+        await request({ type: 'start', options });
+        return {
+            addFrame: (pixels) => request({ type: 'frame', pixels: pixels.buffer }, [pixels.buffer]),
+            finish: async () => {
+                const result = await request({ type: 'finish' });
+                return { bytes: result.bytes, type: result.mimeType };
+            }
+        };
     }
     
-    showViewer() {
-        this.loadingScreen.classList.add('hidden');
-        this.errorScreen.classList.add('hidden');
-        this.viewer.classList.remove('hidden');
+    updateLoopProgress(done, total) {
+        this.loopProgressFill.style.width = `${Math.round(done / total * 100)}%`;
+        this.loopProgressText.textContent = `Encoding frame ${Math.min(done + 1, total)} of ${total}…`;
     }
     
-    showError() {
-        this.loadingScreen.classList.add('hidden');
-        this.viewer.classList.add('hidden');
-        this.errorScreen.classList.remove('hidden');
+    cancelLoopExport() {
+        const job = this.loopJob;
+        if (!job) return;
+        
+        job.cancelled = true;
+        if (job.worker) job.worker.terminate();
+        if (job.abort) job.abort(new Error('Cancelled'));
+        
+        this.loopJob = null;
+        this.loopProgress.classList.add('hidden');
+        this.loopExportBtn.classList.remove('hidden');
     }
     
-    startProcessing() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-        this.processFrame();
+    getLoopFilename() {
+        return `dicyanin-loop-${Date.now()}.${this.loopBlob.type === 'image/webp' ? 'webp' : 'gif'}`;
     }
     
-    stopProcessing() {
-        this.isProcessing = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+    async saveLoop() {
+        if (!this.loopBlob) return;
+        
+        try {
+            const result = await this.saveBlob(this.loopBlob, this.getLoopFilename());
+            if (!result) return;
+            this.showToast(result === 'saved' ? 'Loop saved!' : 'Loop downloaded!');
+        } catch (error) {
+            console.error('Save error:', error);
+            alert('Failed to save the loop. Please try again.');
+        }
+    }
+    
+    async shareLoop() {
+        if (!this.loopBlob) return;
+        
+        try {
+            const result = await this.shareBlob(this.loopBlob, this.getLoopFilename());
+            if (result === 'shared') {
+                this.showToast('Loop shared!');
+            } else if (result === 'unsupported') {
+                await this.saveLoop();
+            }
+        } catch (error) {
+            console.error('Share error:', error);
+            this.shareApp();
         }
     }
     
+    // ==================== GALLERY ====================
+    
     /**
-     * AUTHENTIC KILNER DICYANIN FILTER
-     * 
-     * Based on scientific testing of actual dicyanin screens:
-     * Source: 1917 Bureau of Standards paper & spectral analysis
-     * 
-     * SPECTRAL TRANSMISSION:
-     * - PASSES: Blue/Violet (380-500nm) - high transmission
-     * - BLOCKS: Green (500-570nm) - almost complete absorption  
-     * - BLOCKS: Yellow (570-590nm) - almost complete absorption
-     * - PASSES: Deep Red/Near-IR (650-750nm+) - partial transmission
+     * Gallery details taken from the canvas and settings right away -
+     * photos are stored once encoded, when both may have moved on
      */
-    applyDicyaninFilter(imageData) {
-        const data = imageData.data;
-        const intensity = this.intensity;
-        
-        const redTransmission = 0.25;
-        const greenTransmission = 0.05;
-        const blueTransmission = 0.95;
-        const darknessFactor = 0.55;
-        const violetMix = 0.18;
-        const contrastBoost = 1.2;
-        const contrastMidpoint = 128;
+    describeCapture(sourceCanvas) {
+        return {
+            thumbnail: this.createThumbnail(sourceCanvas),
+            width: sourceCanvas.width,
+            height: sourceCanvas.height,
+            settings: this.getCaptureSettings()
+        };
+    }
+    
+    /**
+     * Keep every photo and recording in the IndexedDB gallery, with a
+     * thumbnail and the settings it was taken with
+     */
+    async storeCapture(type, blob, capture, extra = {}) {
+        if (!blob || !window.indexedDB) return;
         
-        for (let i = 0; i < data.length; i += 4) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            
-            let filteredR = r * redTransmission;
-            let filteredG = g * greenTransmission;
-            let filteredB = (b * blueTransmission) + (r * violetMix);
-            
-            filteredR *= darknessFactor;
-            filteredG *= darknessFactor;
-            filteredB *= darknessFactor;
-            
-            filteredR = ((filteredR - contrastMidpoint) * contrastBoost) + contrastMidpoint;
-            filteredG = ((filteredG - contrastMidpoint) * contrastBoost) + contrastMidpoint;
-            filteredB = ((filteredB - contrastMidpoint) * contrastBoost) + contrastMidpoint;
+        try {
+            await addCapture({
+                type,
+                blob,
+                thumbnail: await capture.thumbnail,
+                createdAt: Date.now(),
+                width: capture.width,
+                height: capture.height,
+                settings: capture.settings,
+                ...extra
+            });
             
-            data[i] = Math.max(0, Math.min(255, r * (1 - intensity) + filteredR * intensity));
-            data[i + 1] = Math.max(0, Math.min(255, g * (1 - intensity) + filteredG * intensity));
-            data[i + 2] = Math.max(0, Math.min(255, b * (1 - intensity) + filteredB * intensity));
+            // Ask the browser not to evict the gallery under storage pressure
+            if (navigator.storage && navigator.storage.persist) {
+                navigator.storage.persist().catch(() => {});
+            }
+        } catch (error) {
+            console.error('Gallery save error:', error);
+            if (error && error.name === 'QuotaExceededError') {
+                this.showToast('Gallery full - delete old captures', 'info');
+            }
         }
-        
-        return imageData;
     }
     
-    processFrame() {
-        if (!this.isProcessing) return;
-        
-        this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+    getCaptureSettings() {
+        const preset = this.getActivePreset();
+        return {
+            preset: preset.name,
+            presetId: preset.id,
+            filter: createFilterDefinition(this.getFilterCoefficients()),
+            intensity: this.intensity,
+            filterEnabled: this.filterEnabled,
+            comparisonMode: this.comparisonMode,
+            afterimage: this.afterimageEnabled,
+            aura: this.auraEnabled,
+            source: this.sourceType
+        };
+    }
+    
+    createThumbnail(sourceCanvas) {
+        const canvas = document.createElement('canvas');
+        canvas.width = GALLERY_THUMBNAIL_WIDTH;
+        canvas.height = Math.max(1, Math.round(GALLERY_THUMBNAIL_WIDTH * sourceCanvas.height / sourceCanvas.width));
+        canvas.getContext('2d').drawImage(sourceCanvas, 0, 0, canvas.width, canvas.height);
         
-        if (this.filterEnabled && this.intensity > 0) {
-            const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-            const filtered = this.applyDicyaninFilter(imageData);
-            this.ctx.putImageData(filtered, 0, 0);
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+    }
+    
+    async openGallery() {
+        if (!window.indexedDB) {
+            alert('The gallery needs IndexedDB, which this browser has disabled.');
+            return;
         }
         
-        // NO live watermark during recording - it causes lag
-        // Watermark is added to final output only
-        
-        this.animationId = requestAnimationFrame(this.processFrame);
+        this.galleryModal.classList.remove('hidden');
+        this.showGalleryGrid();
+        await this.refreshGallery();
     }
     
-    toggleFilter() {
-        this.filterEnabled = !this.filterEnabled;
-        const badge = this.infoBadge;
-        
-        if (this.filterEnabled) {
-            badge.innerHTML = '<span class="badge-dot"></span>DICYANIN FILTER ACTIVE';
-        } else {
-            badge.innerHTML = '<span class="badge-dot" style="background: var(--danger); box-shadow: 0 0 8px var(--danger);"></span>FILTER DISABLED';
-        }
+    closeGallery() {
+        this.galleryModal.classList.add('hidden');
+        this.showGalleryGrid();
+        this.revokeGalleryUrls();
     }
     
-    async flipCamera() {
-        this.facingMode = this.facingMode === 'environment' ? 'user' : 'environment';
-        await this.startCamera();
+    revokeGalleryUrls() {
+        this.galleryUrls.forEach(url => URL.revokeObjectURL(url));
+        this.galleryUrls = [];
     }
     
-    // ==================== IMAGE CAPTURE ====================
+    galleryUrl(blob) {
+        const url = URL.createObjectURL(blob);
+        this.galleryUrls.push(url);
+        return url;
+    }
     
-    captureImage() {
-        this.captureCanvas.width = this.canvas.width;
-        this.captureCanvas.height = this.canvas.height;
+    async refreshGallery() {
+        try {
+            this.galleryRecords = await getAllCaptures();
+        } catch (error) {
+            console.error('Gallery load error:', error);
+            this.galleryRecords = [];
+        }
         
-        // Copy current frame
-        this.captureCtx.drawImage(this.canvas, 0, 0);
+        this.revokeGalleryUrls();
+        this.galleryGrid.innerHTML = '';
+        this.galleryRecords.forEach(record => {
+            const item = document.createElement('button');
+            item.className = 'gallery-item';
+            item.setAttribute('aria-label', `${record.type === 'video' ? 'Video' : 'Photo'} from ${new Date(record.createdAt).toLocaleString()}`);
+            
+            const thumbnail = document.createElement('img');
+            thumbnail.src = this.galleryUrl(record.thumbnail || record.blob);
+            thumbnail.alt = '';
+            item.appendChild(thumbnail);
+            
+            if (record.type === 'video') {
+                const badge = document.createElement('span');
+                badge.className = 'gallery-badge';
+                badge.textContent = `▶ ${Math.round(record.duration || 0)}s`;
+                item.appendChild(badge);
+            }
+            
+            item.addEventListener('click', () => this.showGalleryItem(record));
+            this.galleryGrid.appendChild(item);
+        });
         
-        // Add watermark
-        this.addWatermark(this.captureCtx, this.captureCanvas.width, this.captureCanvas.height);
+        const empty = this.galleryRecords.length === 0;
+        this.galleryEmpty.classList.toggle('hidden', !empty);
+        this.galleryExportBtn.disabled = empty;
+        this.galleryClearBtn.disabled = empty;
+        await this.updateGalleryQuota();
+    }
+    
+    /**
+     * Storage used against the browser's quota for this site
+     */
+    async updateGalleryQuota() {
+        const count = this.galleryRecords.length;
+        const bytes = this.galleryRecords.reduce((total, record) => total + record.blob.size, 0);
+        let text = `${count} capture${count === 1 ? '' : 's'} · ${formatBytes(bytes)}`;
+        let fraction = 0;
         
-        // Generate blob immediately
-        this.captureCanvas.toBlob((blob) => {
-            this.currentImageBlob = blob;
-        }, 'image/png');
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const { usage, quota } = await navigator.storage.estimate();
+                if (quota) {
+                    fraction = usage / quota;
+                    text += ` · ${Math.round(fraction * 100)}% of ${formatBytes(quota)} available storage used`;
+                }
+            } catch (error) {
+                console.warn('Storage estimate failed:', error);
+            }
+        }
         
-        // Show modal
-        this.captureModal.classList.remove('hidden');
+        this.galleryQuotaText.textContent = fraction > 0.8
+            ? `${text} - export and delete captures to free space`
+            : text;
+        this.galleryQuotaFill.style.width = `${Math.min(100, Math.max(fraction * 100, count ? 1 : 0))}%`;
+        this.galleryQuotaFill.classList.toggle('warning', fraction > 0.8);
     }
     
-    addWatermark(ctx, width, height) {
-        // Top watermark bar
-        const topBarHeight = Math.max(60, height * 0.06);
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
-        ctx.fillRect(0, 0, width, topBarHeight);
+    showGalleryGrid() {
+        this.galleryItem = null;
+        this.galleryPreview.innerHTML = '';
+        this.galleryDetail.classList.add('hidden');
+        this.galleryGrid.classList.remove('hidden');
+        this.galleryActions.classList.remove('hidden');
+    }
+    
+    showGalleryItem(record) {
+        this.galleryItem = record;
+        this.galleryPreview.innerHTML = '';
         
-        // Top border glow
-        const topGradient = ctx.createLinearGradient(0, topBarHeight - 2, 0, topBarHeight);
-        topGradient.addColorStop(0, 'rgba(74, 58, 255, 0.8)');
-        topGradient.addColorStop(1, 'rgba(74, 58, 255, 0)');
-        ctx.fillStyle = topGradient;
-        ctx.fillRect(0, topBarHeight - 2, width, 4);
+        const media = document.createElement(record.type === 'video' ? 'video' : 'img');
+        media.src = this.galleryUrl(record.blob);
+        if (record.type === 'video') {
+            media.controls = true;
+            media.playsInline = true;
+        }
+        this.galleryPreview.appendChild(media);
         
-        // "DICYANIN FILTER ACTIVATED" text
-        const fontSize = Math.max(16, width / 30);
-        ctx.font = `bold ${fontSize}px -apple-system, BlinkMacSystemFont, sans-serif`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.shadowColor = 'rgba(74, 58, 255, 0.8)';
-        ctx.shadowBlur = 10;
-        ctx.fillStyle = '#8b7aff';
-        ctx.fillText('DICYANIN FILTER ACTIVATED', width / 2, topBarHeight / 2);
-        ctx.shadowBlur = 0;
+        const settings = record.settings || {};
+        const details = [
+            new Date(record.createdAt).toLocaleString(),
+            settings.filterEnabled === false ? 'Filter off' : `${settings.preset} at ${Math.round((settings.intensity || 0) * 100)}%`,
+            `${record.width} × ${record.height}`
+        ];
+        if (settings.aura) details.push('Aura overlay');
+        if (settings.afterimage) details.push('Afterimage');
+        if (settings.comparisonMode && settings.comparisonMode !== 'off') details.push(`${settings.comparisonMode} comparison`);
+        this.galleryMeta.textContent = details.join(' · ');
         
-        // Bottom watermark bar
-        const bottomBarHeight = Math.max(50, height * 0.05);
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
-        ctx.fillRect(0, height - bottomBarHeight, width, bottomBarHeight);
+        this.galleryGrid.classList.add('hidden');
+        this.galleryEmpty.classList.add('hidden');
+        this.galleryActions.classList.add('hidden');
+        this.galleryDetail.classList.remove('hidden');
+    }
+    
+    getGalleryFilename(record) {
+        const stamp = new Date(record.createdAt).toISOString().slice(0, 19).replace('T', '-').replace(/:/g, '');
+        const extension = record.type === 'video' ? this.getVideoExtension(record.blob) : this.getImageExtension(record.blob);
+        return `dicyanin-scan-${stamp}-${record.id}.${extension}`;
+    }
+    
+    async saveGalleryItem() {
+        const record = this.galleryItem;
+        if (!record) return;
         
-        // Bottom border glow
-        const bottomGradient = ctx.createLinearGradient(0, height - bottomBarHeight, 0, height - bottomBarHeight + 2);
-        bottomGradient.addColorStop(0, 'rgba(74, 58, 255, 0)');
-        bottomGradient.addColorStop(1, 'rgba(74, 58, 255, 0.8)');
-        ctx.fillStyle = bottomGradient;
-        ctx.fillRect(0, height - bottomBarHeight - 2, width, 4);
+        try {
+            const result = await this.saveBlob(record.blob, this.getGalleryFilename(record));
+            if (result) this.showToast(result === 'saved' ? 'Saved to camera roll!' : 'Downloaded!');
+        } catch (error) {
+            console.error('Save error:', error);
+            alert('Failed to save. Please try again.');
+        }
+    }
+    
+    async shareGalleryItem() {
+        const record = this.galleryItem;
+        if (!record) return;
         
-        // Website/branding
-        const smallFontSize = Math.max(12, width / 45);
-        ctx.font = `600 ${smallFontSize}px -apple-system, BlinkMacSystemFont, sans-serif`;
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-        ctx.textAlign = 'center';
-        ctx.fillText('ghost081280.github.io/dicyanin-viewer', width / 2, height - bottomBarHeight / 2);
+        try {
+            const result = await this.shareBlob(record.blob, this.getGalleryFilename(record));
+            if (result === 'shared') {
+                this.showToast('Shared!');
+            } else if (result === 'unsupported') {
+                await this.saveGalleryItem();
+            }
+        } catch (error) {
+            console.error('Share error:', error);
+            this.shareApp();
+        }
     }
     
-    closeModal() {
-        this.captureModal.classList.add('hidden');
+    async deleteGalleryItem() {
+        const record = this.galleryItem;
+        if (!record || !confirm('Delete this capture from the gallery?')) return;
+        
+        try {
+            await deleteCapture(record.id);
+        } catch (error) {
+            console.error('Gallery delete error:', error);
+            alert('Could not delete the capture. Please try again.');
+            return;
+        }
+        this.showGalleryGrid();
+        await this.refreshGallery();
     }
     
-    /**
-     * Save image - uses native share sheet on mobile (best way to save to camera roll)
-     */
-    async saveImage() {
+    async clearGallery() {
+        const count = this.galleryRecords.length;
+        if (!count || !confirm(`Delete all ${count} captures? Export a ZIP first to keep copies.`)) return;
+        
         try {
-            let blob = this.currentImageBlob;
-            if (!blob) {
-                blob = await new Promise(resolve => {
-                    this.captureCanvas.toBlob(resolve, 'image/png');
-                });
-            }
-            
-            if (!blob) {
-                alert('Could not generate image. Please try again.');
-                return;
-            }
-            
-            const filename = `dicyanin-scan-${Date.now()}.png`;
-            const file = new File([blob], filename, { type: 'image/png' });
-            
-            // Use native share sheet - this is the BEST way to save to camera roll on mobile
-            if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
-                try {
-                    await navigator.share({ files: [file] });
-                    this.closeModal();
-                    this.showToast('Image saved to camera roll!');
-                    return;
-                } catch (err) {
-                    if (err.name === 'AbortError') return; // User cancelled
-                    console.log('Share failed, trying fallback');
-                }
-            }
-            
-            // Desktop fallback - direct download
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            setTimeout(() => URL.revokeObjectURL(url), 1000);
-            
-            this.closeModal();
-            this.showToast('Image downloaded!');
-            
+            await clearCaptures();
         } catch (error) {
-            console.error('Save error:', error);
-            alert('Failed to save image. Please try again.');
+            console.error('Gallery clear error:', error);
+            alert('Could not clear the gallery. Please try again.');
+            return;
         }
+        await this.refreshGallery();
+        this.showToast('Gallery cleared');
     }
     
     /**
-     * Share image - opens native share sheet
-     * Note: X/Twitter web intents DO NOT support image upload
-     * The only way to share with media is via native share sheet
+     * Every capture in one ZIP, with captures.json recording the
+     * settings each was taken with
      */
-    async shareImage() {
-        try {
-            let blob = this.currentImageBlob;
-            if (!blob) {
-                blob = await new Promise(resolve => {
-                    this.captureCanvas.toBlob(resolve, 'image/png');
-                });
-            }
-            
-            if (!blob) {
-                this.shareApp();
-                return;
-            }
-            
-            const file = new File([blob], 'dicyanin-scan.png', { type: 'image/png' });
-            
-            // Native share sheet - the ONLY way to share actual media to X/Twitter
-            if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
-                try {
-                    await navigator.share({
-                        files: [file],
-                        title: 'Dicyanin Filter Scan',
-                        text: 'DICYANIN FILTER ACTIVATED - See what others cannot. What do you see?\n' + this.appUrl
-                    });
-                    this.closeModal();
-                    this.showToast('Image shared!');
-                    return;
-                } catch (err) {
-                    if (err.name === 'AbortError') return;
-                }
+    async exportGallery() {
+        const records = this.galleryRecords;
+        if (!records.length) return;
+        
+        const label = this.galleryExportBtn.textContent;
+        this.galleryExportBtn.disabled = true;
+        this.galleryExportBtn.textContent = 'Exporting...';
+        
+        try {
+            const files = [];
+            const manifest = [];
+            for (const record of records) {
+                const name = this.getGalleryFilename(record);
+                files.push({
+                    name,
+                    data: new Uint8Array(await record.blob.arrayBuffer()),
+                    date: new Date(record.createdAt)
+                });
+                manifest.push({
+                    file: name,
+                    type: record.type,
+                    createdAt: new Date(record.createdAt).toISOString(),
+                    width: record.width,
+                    height: record.height,
+                    duration: record.duration,
+                    settings: record.settings
+                });
             }
+            files.push({
+                name: 'captures.json',
+                data: new TextEncoder().encode(JSON.stringify(manifest, null, 2))
+            });
             
-            // Fallback: save image then show instructions
-            await this.saveImage();
-            
+            const archive = createZipArchive(files);
+            const result = await this.saveBlob(archive, `dicyanin-gallery-${Date.now()}.zip`);
+            if (result) this.showToast('Gallery exported!');
         } catch (error) {
-            console.error('Share error:', error);
-            this.shareApp();
+            console.error('Gallery export error:', error);
+            alert('Could not export the gallery. Please try again.');
+        } finally {
+            this.galleryExportBtn.disabled = false;
+            this.galleryExportBtn.textContent = label;
         }
     }
     
-    // ==================== VIDEO RECORDING ====================
-    
-    toggleRecording() {
-        if (this.isRecording) {
-            this.stopRecording();
-        } else {
-            this.startRecording();
-        }
-    }
+    // ==================== OFFLINE SUPPORT ====================
     
-    startRecording() {
-        try {
-            // Get canvas stream - lower framerate for better performance
-            const canvasStream = this.canvas.captureStream(24); // 24 FPS is smoother than 30
-            
-            // Get the correct mime type - iOS ONLY supports MP4
-            const mimeType = this.getRecordingMimeType();
-            if (!mimeType) {
-                alert('Video recording is not supported on this browser.');
-                return;
-            }
-            
-            const options = { mimeType };
-            
-            // Optimize bitrate for smoother playback
-            // Lower bitrate = smaller file = smoother playback on mobile
-            if (this.isIOS) {
-                options.videoBitsPerSecond = 1500000; // 1.5 Mbps - optimized for iOS playback
-            } else if (this.isAndroid) {
-                options.videoBitsPerSecond = 2000000; // 2 Mbps
-            } else {
-                options.videoBitsPerSecond = 4000000; // 4 Mbps for desktop
+    /**
+     * Register the service worker and watch for a newer cached version.
+     * The new worker waits until the user chooses to reload, so a
+     * capture or recording in progress is never interrupted.
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
             }
             
-            this.mediaRecorder = new MediaRecorder(canvasStream, options);
-            this.recordedChunks = [];
-            
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
-                }
-            };
-            
-            this.mediaRecorder.onstop = () => {
-                this.processRecording();
-            };
-            
-            // Start recording - collect data every 500ms (less frequent = less overhead)
-            this.mediaRecorder.start(500);
-            this.isRecording = true;
-            this.recordingStartTime = Date.now();
-            
-            // Update UI
-            this.recordBtn.classList.add('recording');
-            this.recordBtn.querySelector('span').textContent = 'Stop';
-            this.recordingIndicator.classList.remove('hidden');
-            
-            // Start timer
-            this.updateRecordingTimer();
-            this.recordingTimerInterval = setInterval(() => {
-                this.updateRecordingTimer();
-            }, 100);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    // No controller means this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
             
-            // Auto-stop after max duration
-            setTimeout(() => {
-                if (this.isRecording) {
-                    this.stopRecording();
+            // Long-lived sessions check again whenever the app comes back
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') {
+                    registration.update().catch(() => {});
                 }
-            }, this.maxRecordingDuration);
-            
-        } catch (error) {
-            console.error('Recording error:', error);
-            alert('Failed to start recording. Please try again.');
-        }
+            });
+        }).catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+        
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.waitingWorker) window.location.reload();
+        });
     }
     
-    getRecordingMimeType() {
-        // iOS Safari ONLY supports MP4 with H.264
-        // This is critical for saving to camera roll
-        if (this.isIOS) {
-            if (MediaRecorder.isTypeSupported('video/mp4')) {
-                return 'video/mp4';
-            }
-            return null; // iOS requires MP4
+    showUpdatePrompt(worker) {
+        this.waitingWorker = worker;
+        this.updateBanner.classList.remove('hidden');
+    }
+    
+    applyUpdate() {
+        if (this.isRecording) {
+            this.showToast('Stop recording before updating', 'info');
+            return;
         }
+        if (!this.waitingWorker) return;
         
-        // Other browsers - try formats in order of preference
-        const types = [
-            'video/webm;codecs=vp9',
-            'video/webm;codecs=vp8',
-            'video/webm',
-            'video/mp4'
-        ];
+        this.updateBanner.classList.add('hidden');
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+    
+    // ==================== VIEWER STATE ====================
+    
+    getViewerState() {
+        const preset = this.getActivePreset();
+        const builtIn = SCREEN_PRESETS.includes(preset);
         
-        for (const type of types) {
-            if (MediaRecorder.isTypeSupported(type)) {
-                return type;
-            }
+        return {
+            intensity: this.intensity,
+            filterEnabled: this.filterEnabled,
+            facingMode: this.facingMode,
+            presetId: preset.id,
+            // The preset's own filter - an open editor draft isn't part of the look yet
+            customFilter: builtIn ? null : {
+                name: preset.name,
+                filter: this.draftFilter ? resolvePresetFilter(preset) : createFilterDefinition(this.getFilterCoefficients())
+            },
+            watermark: { ...this.watermarkSettings }
+        };
+    }
+    
+    /**
+     * Restore the last session - or, when opened from a share link, the
+     * look it carries. The link is then cleared from the address bar so
+     * later reloads come back to the user's own settings.
+     */
+    restoreViewerState() {
+        const query = location.hash.length > 1 ? location.hash.slice(1) : location.search.slice(1);
+        const linked = decodeViewerState(query);
+        
+        this.applyViewerState(linked || this.loadStoredSettings(STORAGE_KEYS.viewer, DEFAULT_VIEWER_STATE));
+        this.viewerStateReady = true;
+        
+        if (linked) {
+            history.replaceState(null, '', location.pathname);
+            this.persistViewerState();
         }
-        return null;
     }
     
-    stopRecording() {
-        if (this.mediaRecorder && this.isRecording) {
-            this.mediaRecorder.stop();
-            this.isRecording = false;
-            
-            // Update UI
-            this.recordBtn.classList.remove('recording');
-            this.recordBtn.querySelector('span').textContent = 'Record';
-            this.recordingIndicator.classList.add('hidden');
-            
-            // Stop timer
-            if (this.recordingTimerInterval) {
-                clearInterval(this.recordingTimerInterval);
-                this.recordingTimerInterval = null;
+    applyViewerState(state) {
+        const intensity = Math.max(0, Math.min(1, Number(state.intensity) || 0));
+        this.intensity = intensity;
+        this.intensitySlider.value = Math.round(intensity * 100);
+        this.intensityValue.textContent = `${Math.round(intensity * 100)}%`;
+        
+        this.filterEnabled = state.filterEnabled !== false;
+        this.updateFilterBadge();
+        this.facingMode = state.facingMode === 'user' ? 'user' : 'environment';
+        this.watermarkSettings = { ...DEFAULT_WATERMARK_SETTINGS, ...state.watermark };
+        
+        if (this.getAllPresets().some(preset => preset.id === state.presetId)) {
+            this.setPreset(state.presetId);
+        } else if (state.customFilter) {
+            // Not on this device (a shared filter, or a curve loaded last session) - add it for this session
+            try {
+                validateFilterDefinition(state.customFilter.filter);
+                this.userPresets = this.userPresets.filter(preset => preset.id !== 'session-filter');
+                this.userPresets.push({
+                    id: 'session-filter',
+                    name: state.customFilter.name,
+                    citation: 'Custom filter',
+                    filter: createFilterDefinition(state.customFilter.filter)
+                });
+                this.populatePresets();
+                this.setPreset('session-filter');
+            } catch (error) {
+                console.warn('Could not restore filter:', error.message);
             }
         }
     }
     
-    updateRecordingTimer() {
-        if (!this.recordingStartTime) return;
+    persistViewerState() {
+        if (!this.viewerStateReady) return;
+        this.saveStoredSettings(STORAGE_KEYS.viewer, this.getViewerState());
+    }
+    
+    /**
+     * App link carrying the current look, unless turned off in settings
+     */
+    getShareUrl() {
+        if (!this.sharingSettings.includeState) return this.appUrl;
         
-        const elapsed = Date.now() - this.recordingStartTime;
-        const seconds = Math.floor(elapsed / 1000);
-        const ms = Math.floor((elapsed % 1000) / 100);
+        const query = encodeViewerState(this.getViewerState());
+        return query ? `${this.appUrl}#${query}` : this.appUrl;
+    }
+    
+    // ==================== LIVE VIEW ====================
+    
+    bindLiveView() {
+        this.closeShareBtn.addEventListener('click', () => this.closeShareSheet());
+        this.shareLinkBtn.addEventListener('click', () => {
+            this.closeShareSheet();
+            this.shareApp();
+        });
+        this.shareInviteBtn.addEventListener('click', () => {
+            this.closeShareSheet();
+            this.shareApp({ invite: true });
+        });
         
-        const mins = Math.floor(seconds / 60);
-        const secs = seconds % 60;
+        this.closeLiveBtn.addEventListener('click', () => this.closeLiveSheet());
+        this.liveIndicator.addEventListener('click', () => this.openLiveSheet());
+        this.liveCopyBtn.addEventListener('click', () => this.copySignal(this.liveInviteText, 'Invite copied'));
+        this.liveShareBtn.addEventListener('click', () => this.shareSignal(this.liveInviteText, 'Watch my dicyanin view live'));
+        this.liveNewBtn.addEventListener('click', () => this.createLiveInvite());
+        this.liveConnectBtn.addEventListener('click', () => this.acceptLiveAnswer(this.liveAnswerText.value));
+        this.liveScanBtn.classList.toggle('hidden', !('BarcodeDetector' in window));
+        this.liveScanBtn.addEventListener('click', () => this.toggleAnswerScan());
+        this.liveStopBtn.addEventListener('click', () => this.stopBroadcast());
         
-        this.recordingTime.textContent = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms}`;
+        this.watchCopyBtn.addEventListener('click', () => this.copySignal(this.watchAnswerText, 'Answer copied'));
+        this.watchShareBtn.addEventListener('click', () => this.shareSignal(this.watchAnswerText));
+        this.watchLeaveBtn.addEventListener('click', () => this.leaveWatch());
+    }
+    
+    openShareSheet() {
+        this.shareModal.classList.remove('hidden');
+    }
+    
+    closeShareSheet() {
+        this.shareModal.classList.add('hidden');
+    }
+    
+    openLiveSheet() {
+        this.updateLiveStatus();
+        this.liveModal.classList.remove('hidden');
+    }
+    
+    closeLiveSheet() {
+        this.stopAnswerScan();
+        this.liveModal.classList.add('hidden');
+    }
+    
+    /**
+     * Start broadcasting (the first time) and create an invite for one
+     * more viewer. An unanswered earlier invite is dropped.
+     */
+    async createLiveInvite() {
+        if (!window.RTCPeerConnection || !this.canvas.captureStream) {
+            alert('Live view is not supported in this browser.');
+            return;
+        }
         
-        if (elapsed >= this.maxRecordingDuration) {
-            this.stopRecording();
+        this.discardLiveInvite();
+        if (!this.liveStream) this.liveStream = this.canvas.captureStream(LIVE_FRAME_RATE);
+        
+        const connection = new RTCPeerConnection(LIVE_RTC_CONFIGURATION);
+        const invite = { connection, url: null };
+        this.liveInvite = invite;
+        this.liveStream.getVideoTracks().forEach(track => {
+            preferLiveCodec(connection.addTransceiver(track, { direction: 'sendonly', streams: [this.liveStream] }));
+        });
+        connection.addEventListener('connectionstatechange', () => this.onLivePeerStateChange(connection));
+        
+        this.showLiveInvite(null);
+        this.openLiveSheet();
+        
+        try {
+            await connection.setLocalDescription(await connection.createOffer());
+            await waitForIceGathering(connection);
+            const token = await encodeLiveSignal(connection.localDescription);
+            // Replaced or stopped while gathering
+            if (this.liveInvite !== invite) return;
+            
+            invite.url = `${this.appUrl}#${LIVE_INVITE_PARAM}=${token}`;
+            this.showLiveInvite(invite.url);
+        } catch (error) {
+            console.error('Live invite failed:', error);
+            if (this.liveInvite === invite) this.discardLiveInvite();
+            this.updateLiveStatus();
+            alert(`Could not create the invite: ${error.message}`);
         }
     }
     
-    async processRecording() {
-        const mimeType = this.getRecordingMimeType();
-        this.recordedBlob = new Blob(this.recordedChunks, { type: mimeType });
+    showLiveInvite(url) {
+        this.liveInviteText.value = url || '';
+        this.liveAnswerText.value = '';
+        [this.liveCopyBtn, this.liveShareBtn, this.liveConnectBtn].forEach(button => { button.disabled = !url; });
+        this.liveQrCanvas.classList.toggle('hidden', !url || !drawQrCode(this.liveQrCanvas, url));
+        this.updateLiveStatus();
+    }
+    
+    discardLiveInvite() {
+        this.stopAnswerScan();
+        if (!this.liveInvite) return;
+        this.liveInvite.connection.close();
+        this.liveInvite = null;
+    }
+    
+    /**
+     * Finish the handshake with the viewer's answer - the invite's
+     * connection becomes one of the live peers
+     */
+    async acceptLiveAnswer(text) {
+        const invite = this.liveInvite;
+        if (!invite || !invite.url) return;
+        if (!text.trim()) {
+            alert('Paste the answer from the viewer\'s screen first.');
+            return;
+        }
         
-        // For the final video, we need to add watermark
-        // This requires re-encoding which is complex, so for now we'll skip it
-        // The watermark can be added in a future version using WebCodecs
+        try {
+            await invite.connection.setRemoteDescription(await decodeLiveSignal(text, 'answer'));
+        } catch (error) {
+            alert(`Could not connect: ${error.message}`);
+            return;
+        }
         
-        // Clean up old URL
-        if (this.currentVideoUrl) {
-            URL.revokeObjectURL(this.currentVideoUrl);
+        this.stopAnswerScan();
+        this.liveInvite = null;
+        this.livePeers.push(invite.connection);
+        this.showLiveInvite(null);
+        this.showToast('Viewer connecting…', 'info');
+    }
+    
+    onLivePeerStateChange(connection) {
+        if (['failed', 'closed'].includes(connection.connectionState)) {
+            connection.close();
+            this.livePeers = this.livePeers.filter(peer => peer !== connection);
         }
+        this.updateLiveStatus();
+    }
+    
+    updateLiveStatus() {
+        const watching = this.livePeers.filter(peer => peer.connectionState === 'connected').length;
+        const broadcasting = Boolean(this.liveStream);
         
-        // Create preview URL
-        this.currentVideoUrl = URL.createObjectURL(this.recordedBlob);
-        this.videoPreview.src = this.currentVideoUrl;
+        this.liveIndicator.classList.toggle('hidden', !broadcasting);
+        this.liveViewerCount.textContent = `LIVE · ${watching}`;
+        this.liveStopBtn.disabled = !broadcasting;
         
-        // Show modal
-        this.videoModal.classList.remove('hidden');
+        const viewers = `${watching} viewer${watching === 1 ? '' : 's'} watching.`;
+        if (this.liveInvite && !this.liveInvite.url) {
+            this.liveStatus.textContent = 'Creating invite…';
+        } else if (this.liveInvite) {
+            const scan = this.liveQrCanvas.classList.contains('hidden')
+                ? 'Send the viewer this link.'
+                : 'Let the viewer scan this code, or send them the link.';
+            this.liveStatus.textContent = broadcasting && this.livePeers.length ? `${scan} ${viewers}` : scan;
+        } else {
+            this.liveStatus.textContent = broadcasting ? `${viewers} Create a new invite for another viewer.` : 'Not broadcasting.';
+        }
     }
     
-    closeVideoModal() {
-        this.videoModal.classList.add('hidden');
-        this.videoPreview.pause();
+    stopBroadcast() {
+        this.discardLiveInvite();
+        this.livePeers.forEach(peer => peer.close());
+        this.livePeers = [];
+        if (this.liveStream) {
+            this.liveStream.getTracks().forEach(track => track.stop());
+            this.liveStream = null;
+        }
+        this.showLiveInvite(null);
+        this.closeLiveSheet();
+        this.showToast('Broadcast stopped', 'info');
     }
     
     /**
-     * Save video - uses native share sheet on mobile
-     * This is the ONLY reliable way to save video to camera roll on iOS
+     * Read the viewer's answer QR code through this camera - the raw
+     * video, so the filter can't wash the code out
      */
-    async saveVideo() {
-        if (!this.recordedBlob) {
-            alert('No video recorded.');
+    toggleAnswerScan() {
+        if (this.answerScanner) {
+            this.stopAnswerScan();
+            return;
+        }
+        if (this.sourceType !== 'camera') {
+            alert('Scanning uses the camera. Switch back to it first.');
             return;
         }
         
-        try {
-            const isMP4 = this.recordedBlob.type.includes('mp4');
-            const extension = isMP4 ? 'mp4' : 'webm';
-            const filename = `dicyanin-scan-${Date.now()}.${extension}`;
-            const file = new File([this.recordedBlob], filename, { type: this.recordedBlob.type });
-            
-            // Use native share sheet - ONLY reliable way to save video to camera roll on iOS
-            if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
-                try {
-                    await navigator.share({ files: [file] });
-                    this.closeVideoModal();
-                    this.showToast('Video saved to camera roll!');
+        const scanner = { detector: new BarcodeDetector({ formats: ['qr_code'] }), timeout: null };
+        this.answerScanner = scanner;
+        this.liveScanBtn.textContent = 'Stop Scanning';
+        
+        const scan = async () => {
+            try {
+                const codes = await scanner.detector.detect(this.video);
+                const code = codes.find(({ rawValue }) => /^[zp][\w-]+$/.test(rawValue));
+                if (this.answerScanner !== scanner) return;
+                if (code) {
+                    this.liveAnswerText.value = code.rawValue;
+                    this.acceptLiveAnswer(code.rawValue);
                     return;
-                } catch (err) {
-                    if (err.name === 'AbortError') return;
-                    console.log('Share failed, trying fallback');
                 }
+            } catch (error) {
+                console.warn('Answer scan failed:', error);
             }
-            
-            // Desktop fallback
-            const url = URL.createObjectURL(this.recordedBlob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            setTimeout(() => URL.revokeObjectURL(url), 1000);
-            
-            this.closeVideoModal();
-            this.showToast('Video downloaded!');
-            
+            if (this.answerScanner === scanner) scanner.timeout = setTimeout(scan, LIVE_SCAN_INTERVAL_MS);
+        };
+        scan();
+    }
+    
+    stopAnswerScan() {
+        if (!this.answerScanner) return;
+        clearTimeout(this.answerScanner.timeout);
+        this.answerScanner = null;
+        this.liveScanBtn.textContent = 'Scan Answer';
+    }
+    
+    async copySignal(field, message) {
+        field.select();
+        try {
+            await navigator.clipboard.writeText(field.value);
+            this.showToast(message);
         } catch (error) {
-            console.error('Save error:', error);
-            alert('Failed to save video. Please try again.');
+            this.showToast('Selected - copy it from the box', 'info');
+        }
+    }
+    
+    async shareSignal(field, text) {
+        if (!navigator.share) {
+            this.copySignal(field, 'Copied - paste it into a message');
+            return;
+        }
+        try {
+            // Invites are links; answers are plain text for the broadcaster to paste
+            await navigator.share(text ? { title: 'Dicyanin Viewer', text, url: field.value } : { text: field.value });
+        } catch (error) {
+            if (error.name !== 'AbortError') this.copySignal(field, 'Copied - paste it into a message');
         }
     }
     
     /**
-     * Share video - opens native share sheet
+     * Watch another device's broadcast: answer its invite, then show the
+     * answer for the broadcaster to paste or scan
      */
-    async shareVideo() {
-        if (!this.recordedBlob) {
-            alert('No video recorded.');
+    async openWatch(token) {
+        this.loadingScreen.classList.add('hidden');
+        this.watchScreen.classList.remove('hidden');
+        this.setWatchStatus('Joining…', 'Preparing an answer for the broadcaster.');
+        
+        if (!window.RTCPeerConnection) {
+            this.setWatchStatus('Live view unavailable', 'This browser does not support live view.');
             return;
         }
         
+        const connection = new RTCPeerConnection(LIVE_RTC_CONFIGURATION);
+        this.watchConnection = connection;
+        connection.addEventListener('track', (e) => {
+            this.watchVideo.srcObject = e.streams[0] || new MediaStream([e.track]);
+        });
+        connection.addEventListener('connectionstatechange', () => this.onWatchStateChange(connection));
+        
         try {
-            const isMP4 = this.recordedBlob.type.includes('mp4');
-            const extension = isMP4 ? 'mp4' : 'webm';
-            const file = new File([this.recordedBlob], `dicyanin-scan.${extension}`, { 
-                type: this.recordedBlob.type 
-            });
-            
-            // Native share sheet
-            if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
-                try {
-                    await navigator.share({
-                        files: [file],
-                        title: 'Dicyanin Filter Scan',
-                        text: 'DICYANIN FILTER ACTIVATED - See what others cannot. What do you see?\n' + this.appUrl
-                    });
-                    this.closeVideoModal();
-                    this.showToast('Video shared!');
-                    return;
-                } catch (err) {
-                    if (err.name === 'AbortError') return;
-                }
-            }
-            
-            // Fallback
-            await this.saveVideo();
+            await connection.setRemoteDescription(await decodeLiveSignal(token, 'offer'));
+            await connection.setLocalDescription(await connection.createAnswer());
+            await waitForIceGathering(connection);
+            const answer = await encodeLiveSignal(connection.localDescription);
+            if (this.watchConnection !== connection) return;
             
+            this.watchAnswerText.value = answer;
+            this.watchQrCanvas.classList.toggle('hidden', !drawQrCode(this.watchQrCanvas, answer));
+            this.watchAnswer.classList.remove('hidden');
+            this.setWatchStatus('Send this answer back',
+                'The broadcaster pastes it under "Paste the Answer", or scans the code. The view appears here once they connect.');
         } catch (error) {
-            console.error('Share error:', error);
-            this.shareApp();
+            console.error('Could not answer invite:', error);
+            if (this.watchConnection === connection) {
+                this.setWatchStatus('Could not join', error.message);
+            }
+        }
+    }
+    
+    setWatchStatus(title, message) {
+        this.watchTitle.textContent = title;
+        this.watchMessage.textContent = message;
+    }
+    
+    onWatchStateChange(connection) {
+        if (this.watchConnection !== connection) return;
+        
+        const state = connection.connectionState;
+        this.watchScreen.classList.toggle('connected', state === 'connected');
+        if (state === 'connected') {
+            this.watchVideo.play().catch(() => {});
+        } else if (['disconnected', 'failed', 'closed'].includes(state)) {
+            this.watchAnswer.classList.add('hidden');
+            this.setWatchStatus(state === 'disconnected' ? 'Connection interrupted' : 'Broadcast ended',
+                state === 'disconnected' ? 'Waiting for the broadcast to come back…' : 'Ask the broadcaster for a new invite.');
         }
     }
     
+    /**
+     * Back to this device's own view - the camera wasn't opened for watching
+     */
+    leaveWatch() {
+        if (this.watchConnection) {
+            this.watchConnection.close();
+            this.watchConnection = null;
+        }
+        this.watchVideo.srcObject = null;
+        this.watchScreen.classList.add('hidden');
+        this.startCamera();
+    }
+    
     // ==================== APP SHARING ====================
     
     /**
-     * Share the app link
+     * Share the app link - or, with { invite: true }, broadcast the live
+     * view and create an invite link for a viewer
      * Note: X web intents only support text/URL, not media files
      */
-    shareApp() {
+    shareApp({ invite = false } = {}) {
+        if (invite) {
+            this.createLiveInvite();
+            return;
+        }
+        
         const text = "See what others can't. The legendary Kilner dicyanin filter - what will you see?";
         
         // Try native share first
@@ -740,7 +7106,7 @@ class DicyaninViewer {
             navigator.share({
                 title: 'Dicyanin Viewer',
                 text: text,
-                url: this.appUrl
+                url: this.getShareUrl()
             }).catch(() => {
                 // Fallback to X intent
                 this.openXIntent(text);
@@ -751,7 +7117,7 @@ class DicyaninViewer {
     }
     
     openXIntent(text) {
-        const xShareUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(this.appUrl)}`;
+        const xShareUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(this.getShareUrl())}`;
         window.open(xShareUrl, '_blank', 'width=550,height=420');
     }
 }
@@ -0,0 +1,64 @@
+/**
+ * Dicyanin Viewer - Filter Core
+ * 
+ * The 2D fallback's per-pixel filter, shared by the page (app.js) and
+ * the filter worker (filter-worker.js). Plain script with no DOM access
+ * so it loads in both places.
+ */
+
+// 2D lookup tables cover post-matrix values from -LUT_OFFSET to LUT_SIZE - LUT_OFFSET
+const FILTER_LUT_OFFSET = 256;
+const FILTER_LUT_SIZE = 1024;
+
+/**
+ * Filter RGBA pixels in place: channel mix, then darkness, contrast,
+ * gamma and curves through the per-channel lookup tables (see
+ * buildFilterLut), then mix with the original by intensity
+ */
+function filterPixels(data, matrix, luts, intensity) {
+    const [m0, m1, m2, m3, m4, m5, m6, m7, m8] = matrix;
+    const [lutR, lutG, lutB] = luts;
+    const maxIndex = FILTER_LUT_SIZE - 1;
+    
+    for (let i = 0; i < data.length; i += 4) {
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        
+        const mixedR = Math.round((r * m0) + (g * m1) + (b * m2)) + FILTER_LUT_OFFSET;
+        const mixedG = Math.round((r * m3) + (g * m4) + (b * m5)) + FILTER_LUT_OFFSET;
+        const mixedB = Math.round((r * m6) + (g * m7) + (b * m8)) + FILTER_LUT_OFFSET;
+        
+        const filteredR = lutR[mixedR < 0 ? 0 : mixedR > maxIndex ? maxIndex : mixedR];
+        const filteredG = lutG[mixedG < 0 ? 0 : mixedG > maxIndex ? maxIndex : mixedG];
+        const filteredB = lutB[mixedB < 0 ? 0 : mixedB > maxIndex ? maxIndex : mixedB];
+        
+        data[i] = Math.max(0, Math.min(255, r * (1 - intensity) + filteredR * intensity));
+        data[i + 1] = Math.max(0, Math.min(255, g * (1 - intensity) + filteredG * intensity));
+        data[i + 2] = Math.max(0, Math.min(255, b * (1 - intensity) + filteredB * intensity));
+    }
+    
+    return data;
+}
+
+/**
+ * Nearest-neighbour copy of RGBA pixels at another size - how the scope
+ * samples a frame that has already been read
+ */
+function samplePixelGrid(data, sourceWidth, sourceHeight, width, height) {
+    const sample = new Uint8ClampedArray(width * height * 4);
+    
+    for (let y = 0; y < height; y++) {
+        const row = Math.min(sourceHeight - 1, Math.floor((y + 0.5) * sourceHeight / height)) * sourceWidth;
+        for (let x = 0; x < width; x++) {
+            const i = (row + Math.min(sourceWidth - 1, Math.floor((x + 0.5) * sourceWidth / width))) * 4;
+            const o = (y * width + x) * 4;
+            sample[o] = data[i];
+            sample[o + 1] = data[i + 1];
+            sample[o + 2] = data[i + 2];
+            sample[o + 3] = 255;
+        }
+    }
+    
+    return sample;
+}
@@ -0,0 +1,54 @@
+/**
+ * Dicyanin Viewer - Filter Worker
+ * 
+ * Runs the 2D fallback's per-pixel filter off the main thread so the
+ * UI stays responsive. The page sends the filter's matrix and lookup
+ * tables whenever they change, then raw frames as transferred
+ * ImageBitmaps; each filtered frame goes back the same way, with raw
+ * and filtered samples for the scope when the frame asks for them.
+ */
+
+importScripts('filter-core.js');
+
+let canvas = null;
+let ctx = null;
+let filter = null;
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    
+    if (message.type === 'filter') {
+        filter = { matrix: message.matrix, luts: message.luts };
+    } else if (message.type === 'frame') {
+        processFrame(message);
+    }
+});
+
+function processFrame({ bitmap, x, intensity, scope }) {
+    const { width, height } = bitmap;
+    
+    if (!canvas || canvas.width !== width || canvas.height !== height) {
+        canvas = new OffscreenCanvas(width, height);
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    
+    // When asked, the scope gets samples of the pixels read here anyway
+    let sample = null;
+    if (filter) {
+        const imageData = ctx.getImageData(0, 0, width, height);
+        const raw = scope ? samplePixelGrid(imageData.data, width, height, scope.width, scope.height) : null;
+        filterPixels(imageData.data, filter.matrix, filter.luts, intensity);
+        ctx.putImageData(imageData, 0, 0);
+        if (raw) {
+            const filtered = samplePixelGrid(imageData.data, width, height, scope.width, scope.height);
+            sample = { raw, filtered, width: scope.width, height: scope.height };
+        }
+    }
+    
+    const result = canvas.transferToImageBitmap();
+    const transfer = sample ? [result, sample.raw.buffer, sample.filtered.buffer] : [result];
+    self.postMessage({ type: 'frame', bitmap: result, x, scope: sample }, transfer);
+}
@@ -0,0 +1,318 @@
+/**
+ * Dicyanin Viewer - Loop Encoder
+ *
+ * Animated GIF and WebP encoders for loop exports, shared by the page
+ * (app.js) and the loop worker (loop-worker.js). Frames arrive as RGBA
+ * pixels one at a time, so only the encoded output stays in memory.
+ *
+ * - GIF: a median-cut palette per frame (so colors can follow the clip),
+ *   LZW-compressed, looping forever via the NETSCAPE2.0 extension
+ * - WebP: each frame is encoded by the browser's still WebP encoder, then
+ *   the bitstreams are wrapped in ANMF chunks of one animated file
+ */
+
+// Palette quality - colors per GIF frame
+const LOOP_PALETTE_SIZES = {
+    low: 64,
+    medium: 128,
+    high: 256
+};
+
+// Still-image quality for WebP frames, per palette quality
+const LOOP_WEBP_QUALITY = {
+    low: 0.6,
+    medium: 0.8,
+    high: 0.92
+};
+
+function concatLoopBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+// ==================== GIF ====================
+
+/**
+ * Median cut over a 15-bit color histogram. Returns the palette
+ * (flat RGB) and the palette index of every histogram bin.
+ */
+function buildGifPalette(pixels, colors) {
+    const histogram = new Uint32Array(32768);
+    for (let i = 0; i < pixels.length; i += 4) {
+        histogram[((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3)]++;
+    }
+
+    const createBox = (keys) => {
+        // Widest channel decides where the box splits
+        let range = 0;
+        let shift = 0;
+        [10, 5, 0].forEach(channelShift => {
+            let min = 31;
+            let max = 0;
+            keys.forEach(key => {
+                const value = (key >> channelShift) & 31;
+                if (value < min) min = value;
+                if (value > max) max = value;
+            });
+            if (max - min > range) {
+                range = max - min;
+                shift = channelShift;
+            }
+        });
+        return { keys, range, shift };
+    };
+
+    const used = [];
+    for (let key = 0; key < 32768; key++) {
+        if (histogram[key]) used.push(key);
+    }
+    const boxes = [createBox(used)];
+
+    while (boxes.length < colors) {
+        let index = -1;
+        boxes.forEach((box, i) => {
+            if (box.range > 0 && (index < 0 || box.range > boxes[index].range)) index = i;
+        });
+        if (index < 0) break;
+
+        // Split at the pixel-count median along the widest channel
+        const { keys, shift } = boxes[index];
+        keys.sort((a, b) => ((a >> shift) & 31) - ((b >> shift) & 31));
+        const total = keys.reduce((sum, key) => sum + histogram[key], 0);
+        let count = 0;
+        let split = 0;
+        while (split < keys.length - 1 && (count += histogram[keys[split]]) < total / 2) split++;
+        split = Math.max(1, Math.min(split + 1, keys.length - 1));
+
+        boxes.splice(index, 1, createBox(keys.slice(0, split)), createBox(keys.slice(split)));
+    }
+
+    const palette = new Uint8Array(boxes.length * 3);
+    const lookup = new Uint8Array(32768);
+    boxes.forEach((box, index) => {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let weight = 0;
+        box.keys.forEach(key => {
+            const count = histogram[key];
+            r += (((key >> 10) & 31) * 8 + 4) * count;
+            g += (((key >> 5) & 31) * 8 + 4) * count;
+            b += ((key & 31) * 8 + 4) * count;
+            weight += count;
+            lookup[key] = index;
+        });
+        palette[index * 3] = Math.round(r / weight);
+        palette[index * 3 + 1] = Math.round(g / weight);
+        palette[index * 3 + 2] = Math.round(b / weight);
+    });
+
+    return { palette, lookup };
+}
+
+/**
+ * GIF-flavored LZW, packed into 255-byte sub-blocks
+ */
+function encodeGifLzw(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let buffer = 0;
+    let bufferBits = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    const table = new Map();
+
+    const emit = (code) => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            bytes.push(buffer & 0xFF);
+            buffer >>>= 8;
+            bufferBits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            // Table full - start over
+            emit(clearCode);
+            table.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bufferBits > 0) bytes.push(buffer & 0xFF);
+
+    const blocks = [new Uint8Array([minCodeSize])];
+    for (let offset = 0; offset < bytes.length; offset += 255) {
+        const chunk = bytes.slice(offset, offset + 255);
+        blocks.push(new Uint8Array([chunk.length, ...chunk]));
+    }
+    blocks.push(new Uint8Array([0]));
+    return concatLoopBytes(blocks);
+}
+
+function createGifEncoder({ width, height, frameDelay, palette: paletteQuality }) {
+    const colors = LOOP_PALETTE_SIZES[paletteQuality] || LOOP_PALETTE_SIZES.medium;
+    const delay = Math.max(2, Math.round(frameDelay / 10));
+
+    const header = new Uint8Array(13 + 19);
+    const view = new DataView(header.buffer);
+    header.set([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]);              // GIF89a
+    view.setUint16(6, width, true);
+    view.setUint16(8, height, true);
+    // No global color table - every frame brings its own
+    header.set([0x21, 0xFF, 0x0B], 13);
+    header.set(Array.from('NETSCAPE2.0', char => char.charCodeAt(0)), 16);
+    header.set([0x03, 0x01, 0x00, 0x00, 0x00], 27);                // loop forever
+    const parts = [header];
+
+    return {
+        async addFrame(pixels) {
+            const { palette, lookup } = buildGifPalette(pixels, colors);
+            const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length / 3)));
+            const colorTable = new Uint8Array(3 << tableBits);
+            colorTable.set(palette);
+
+            const indices = new Uint8Array(width * height);
+            for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+                indices[i] = lookup[((pixels[p] >> 3) << 10) | ((pixels[p + 1] >> 3) << 5) | (pixels[p + 2] >> 3)];
+            }
+
+            const control = new Uint8Array([0x21, 0xF9, 0x04, 0x04, delay & 0xFF, delay >> 8, 0x00, 0x00]);
+            const descriptor = new Uint8Array(10);
+            const descriptorView = new DataView(descriptor.buffer);
+            descriptor[0] = 0x2C;
+            descriptorView.setUint16(5, width, true);
+            descriptorView.setUint16(7, height, true);
+            descriptor[9] = 0x80 | (tableBits - 1);                  // local color table
+
+            parts.push(control, descriptor, colorTable, encodeGifLzw(indices, Math.max(2, tableBits)));
+        },
+
+        finish() {
+            parts.push(new Uint8Array([0x3B]));
+            return { bytes: concatLoopBytes(parts), type: 'image/gif' };
+        }
+    };
+}
+
+// ==================== ANIMATED WEBP ====================
+
+function createLoopRiffChunk(fourCC, data) {
+    const header = new Uint8Array(8);
+    header.set(Array.from(fourCC, char => char.charCodeAt(0)));
+    new DataView(header.buffer).setUint32(4, data.length, true);
+    return concatLoopBytes([header, data, new Uint8Array(data.length % 2)]);
+}
+
+function setUint24(bytes, offset, value) {
+    bytes[offset] = value & 0xFF;
+    bytes[offset + 1] = (value >> 8) & 0xFF;
+    bytes[offset + 2] = (value >> 16) & 0xFF;
+}
+
+/**
+ * The image chunks (ALPH, VP8, VP8L) of a still WebP - what an ANMF
+ * frame carries
+ */
+function extractWebpFrameData(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const parts = [];
+    for (let offset = 12; offset + 8 <= bytes.length;) {
+        const fourCC = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const length = view.getUint32(offset + 4, true);
+        const padded = 8 + length + (length % 2);
+        if (fourCC === 'ALPH' || fourCC === 'VP8 ' || fourCC === 'VP8L') {
+            parts.push(bytes.subarray(offset, offset + padded));
+        }
+        offset += padded;
+    }
+    return concatLoopBytes(parts);
+}
+
+async function encodeWebpStill(pixels, width, height, quality) {
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(width, height)
+        : Object.assign(document.createElement('canvas'), { width, height });
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+
+    const blob = canvas.convertToBlob
+        ? await canvas.convertToBlob({ type: 'image/webp', quality })
+        : await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', quality));
+    // Browsers without a WebP encoder quietly return PNG
+    if (!blob || blob.type !== 'image/webp') {
+        throw new Error('WebP encoding is not supported in this browser');
+    }
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+function createWebpEncoder({ width, height, frameDelay, palette: paletteQuality }) {
+    const quality = LOOP_WEBP_QUALITY[paletteQuality] || LOOP_WEBP_QUALITY.medium;
+    const duration = Math.round(frameDelay);
+    const frames = [];
+
+    return {
+        async addFrame(pixels) {
+            const still = await encodeWebpStill(pixels, width, height, quality);
+            const header = new Uint8Array(16);
+            // Frame at 0,0 covering the canvas; don't blend with the previous frame
+            setUint24(header, 6, width - 1);
+            setUint24(header, 9, height - 1);
+            setUint24(header, 12, duration);
+            header[15] = 0x02;
+            frames.push(createLoopRiffChunk('ANMF', concatLoopBytes([header, extractWebpFrameData(still)])));
+        },
+
+        finish() {
+            const vp8x = new Uint8Array(10);
+            vp8x[0] = 0x02;                                          // animation
+            setUint24(vp8x, 4, width - 1);
+            setUint24(vp8x, 7, height - 1);
+            // Black background, loop forever
+            const anim = new Uint8Array([0, 0, 0, 0xFF, 0, 0]);
+
+            const body = concatLoopBytes([
+                createLoopRiffChunk('VP8X', vp8x),
+                createLoopRiffChunk('ANIM', anim),
+                ...frames
+            ]);
+            const riff = new Uint8Array(12);
+            riff.set([0x52, 0x49, 0x46, 0x46]);                      // RIFF
+            new DataView(riff.buffer).setUint32(4, 4 + body.length, true);
+            riff.set([0x57, 0x45, 0x42, 0x50], 8);                   // WEBP
+            return { bytes: concatLoopBytes([riff, body]), type: 'image/webp' };
+        }
+    };
+}
+
+/**
+ * options: { format: 'gif' | 'webp', width, height, frameDelay (ms), palette: 'low' | 'medium' | 'high' }
+ */
+function createLoopEncoder(options) {
+    return options.format === 'webp' ? createWebpEncoder(options) : createGifEncoder(options);
+}
@@ -0,0 +1,33 @@
+/**
+ * Dicyanin Viewer - Loop Worker
+ *
+ * Encodes GIF / WebP loop exports off the main thread. The page sends
+ * 'start' with the encoder options, then one 'frame' of transferred RGBA
+ * pixels at a time, waiting for each 'frame' reply so only one frame is
+ * ever queued; 'finish' replies with the encoded file. The page cancels
+ * by terminating the worker.
+ */
+
+importScripts('loop-encoder.js');
+
+let encoder = null;
+
+self.addEventListener('message', async (event) => {
+    const message = event.data;
+
+    try {
+        if (message.type === 'start') {
+            encoder = createLoopEncoder(message.options);
+            self.postMessage({ type: 'start' });
+        } else if (message.type === 'frame') {
+            await encoder.addFrame(new Uint8ClampedArray(message.pixels));
+            self.postMessage({ type: 'frame' });
+        } else if (message.type === 'finish') {
+            const { bytes, type } = encoder.finish();
+            encoder = null;
+            self.postMessage({ type: 'finish', bytes, mimeType: type }, [bytes.buffer]);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
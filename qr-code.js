@@ -0,0 +1,331 @@
+/**
+ * Dicyanin Viewer - QR Code
+ *
+ * A small QR code encoder for live view invites, so the app can show
+ * offers and answers as scannable codes without any library or server.
+ * Byte mode only, at error correction level L - the signaling links are
+ * long, and they're read off a screen rather than a worn label.
+ */
+
+// Per version 1-40 (index 0 unused), error correction level L
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+    -1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28,
+    28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30
+];
+const QR_ECC_BLOCKS = [
+    -1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8,
+    8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25
+];
+
+// Level L in the format information bits
+const QR_FORMAT_LEVEL_BITS = 1;
+
+// ==================== CAPACITY ====================
+
+/**
+ * Modules left for data and error correction once the finder, timing,
+ * alignment, format and version patterns are placed
+ */
+function getQrRawModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignCount - 10) * alignCount - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getQrDataCodewords(version) {
+    return Math.floor(getQrRawModules(version) / 8)
+        - QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ECC_BLOCKS[version];
+}
+
+function getQrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const size = version * 4 + 17;
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+// ==================== REED-SOLOMON ====================
+
+function multiplyGf256(x, y) {
+    let result = 0;
+    for (let i = 7; i >= 0; i--) {
+        result = (result << 1) ^ ((result >>> 7) * 0x11D);
+        result ^= ((y >>> i) & 1) * x;
+    }
+    return result;
+}
+
+function createRsDivisor(degree) {
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            divisor[j] = multiplyGf256(divisor[j], root);
+            if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+        }
+        root = multiplyGf256(root, 0x02);
+    }
+    return divisor;
+}
+
+function computeRsRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= multiplyGf256(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+// ==================== CODEWORDS ====================
+
+/**
+ * Mode, length, data and padding bytes, split into blocks with their
+ * error correction, then interleaved the way scanners read them back
+ */
+function createQrCodewords(bytes, version) {
+    const capacity = getQrDataCodewords(version);
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    appendBits(0x4, 4);                                              // byte mode
+    appendBits(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => appendBits(byte, 8));
+    appendBits(0, Math.min(4, capacity * 8 - bits.length));          // terminator
+    appendBits(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; data.length < capacity; pad ^= 0xEC ^ 0x11) data.push(pad);
+
+    const blockCount = QR_ECC_BLOCKS[version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getQrRawModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = createRsDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+        const blockData = data.slice(offset, offset + dataLength);
+        offset += dataLength;
+        const ecc = computeRsRemainder(blockData, divisor);
+        // Short blocks get a placeholder so every block lines up
+        if (i < shortBlockCount) blockData.push(0);
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= shortBlockCount) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// ==================== MATRIX ====================
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+function createQrMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = new Uint8Array(size * size);
+    const reserved = new Uint8Array(size * size);
+    const set = (x, y, dark) => {
+        modules[y * size + x] = dark ? 1 : 0;
+        reserved[y * size + x] = 1;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns, skipping the three finder corners
+    const positions = getQrAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Version information (7 and up)
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    return { size, modules, reserved, set };
+}
+
+function drawQrFormatBits(matrix, mask) {
+    const { size, set } = matrix;
+    const data = (QR_FORMAT_LEVEL_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);                                          // always-dark module
+}
+
+/**
+ * Codeword bits in the two-column zigzag, bottom-right first
+ */
+function drawQrCodewords(matrix, codewords) {
+    const { size, modules, reserved } = matrix;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;                                  // skip the vertical timing line
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (reserved[y * size + x] || i >= codewords.length * 8) continue;
+                modules[y * size + x] = (codewords[i >>> 3] >>> (7 - (i & 7))) & 1;
+                i++;
+            }
+        }
+    }
+}
+
+function applyQrMask(matrix, mask) {
+    const { size, modules, reserved } = matrix;
+    const test = QR_MASKS[mask];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!reserved[y * size + x] && test(x, y)) modules[y * size + x] ^= 1;
+        }
+    }
+}
+
+/**
+ * The standard penalty score - long runs, 2x2 blocks, finder look-alikes
+ * and dark/light imbalance. The lowest-scoring mask scans best.
+ */
+function scoreQrMatrix({ size, modules }) {
+    let score = 0;
+    const at = (x, y) => modules[y * size + x];
+    const finderLike = [1, 0, 1, 1, 1, 0, 1];
+
+    const scoreLine = (get) => {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && get(i) === get(i - 1)) {
+                run++;
+            } else {
+                if (run >= 5) score += run - 2;
+                run = 1;
+            }
+        }
+        for (let i = 0; i + 7 <= size; i++) {
+            if (!finderLike.every((value, k) => get(i + k) === value)) continue;
+            const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || get(i - k) === 0);
+            const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || get(i + 7 + k) === 0);
+            if (lightBefore || lightAfter) score += 40;
+        }
+    };
+
+    for (let y = 0; y < size; y++) scoreLine(x => at(x, y));
+    for (let x = 0; x < size; x++) scoreLine(y => at(x, y));
+
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const value = at(x, y);
+            if (value === at(x + 1, y) && value === at(x, y + 1) && value === at(x + 1, y + 1)) score += 3;
+        }
+    }
+
+    const dark = modules.reduce((sum, value) => sum + value, 0);
+    score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+    return score;
+}
+
+// ==================== ENCODER ====================
+
+/**
+ * Encode text as the smallest QR code that holds it.
+ * Returns { size, modules } - modules is size * size, 1 for dark.
+ */
+function createQrCode(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = 1;
+    while (version <= 40 && bytes.length + (version < 10 ? 2 : 3) > getQrDataCodewords(version)) version++;
+    if (version > 40) throw new Error('Too much data for a QR code');
+
+    const codewords = createQrCodewords(bytes, version);
+    let best = null;
+    for (let mask = 0; mask < QR_MASKS.length; mask++) {
+        const matrix = createQrMatrix(version);
+        drawQrFormatBits(matrix, mask);
+        drawQrCodewords(matrix, codewords);
+        applyQrMask(matrix, mask);
+        const score = scoreQrMatrix(matrix);
+        if (!best || score < best.score) best = { score, matrix };
+    }
+
+    return { size: best.matrix.size, modules: best.matrix.modules };
+}
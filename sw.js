@@ -0,0 +1,70 @@
+/**
+ * Dicyanin Viewer - Service Worker
+ *
+ * Precaches the app shell so the viewer loads with no network.
+ * Bump CACHE_VERSION whenever a precached file changes - the new worker
+ * installs alongside the old one and the page offers to reload into it.
+ */
+
+const CACHE_VERSION = 'v17';
+const CACHE_PREFIX = 'dicyanin-viewer-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'app.js',
+    'filter-core.js',
+    'filter-worker.js',
+    'loop-encoder.js',
+    'loop-worker.js',
+    'qr-code.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    
+    // Cache first - the shell only changes with a new CACHE_VERSION
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+            if (request.mode === 'navigate') {
+                return fetch(request).catch(() => caches.match('index.html'));
+            }
+            return fetch(request);
+        })
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});